@@ -1,8 +1,40 @@
 #!/usr/bin/env node
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
+import { EventEmitter } from "node:events";
+import { randomBytes, randomUUID } from "node:crypto";
+import { startTranscriptReceiver } from "./lib/transcript-receiver.js";
+import {
+  entryStart, entryEnd, entryText, formatTimestamp, parseTimestamp,
+  entryKey, seedCursor, advanceCursor, matchesSpokenText,
+} from "./lib/transcript.js";
+import { createTtsProvider, OPENAI_VOICES } from "./lib/tts/index.js";
+import { createSpeechQueue } from "./lib/speech-queue.js";
+import { mp3Duration } from "./lib/mp3.js";
+import { splitIntoChunks } from "./lib/sentences.js";
+import { loadBotRecords, saveBotRecords } from "./lib/bot-store.js";
+import { loadNoteVersions, saveNoteVersion, mergeNotes, diffNotes } from "./lib/notes-store.js";
+import { archiveMeeting, loadArchive, parseDateRange, meetingInRange, searchArchive } from "./lib/archive.js";
+import { parseMeetingUrl, platformLabel, findMeetingLink } from "./lib/meeting-url.js";
+import { createScheduler, parseJoinAt } from "./lib/scheduler.js";
+import { parseIcs, expandEvents } from "./lib/ics.js";
+import { startHttpServer } from "./lib/http-server.js";
+import { EXPORT_FORMATS, toSrt, toVtt, toMarkdown, toJson } from "./lib/export.js";
+import { compileTriggers } from "./lib/triggers.js";
+import { buildRoster } from "./lib/roster.js";
+import { computeStats, statsToMarkdown, formatDuration, DEFAULT_MONOLOGUE_SECONDS } from "./lib/stats.js";
+import { loadScript, createSimulator } from "./lib/simulator.js";
+import { requestJson } from "./lib/http-client.js";
+import { loadImage, loadAudio } from "./lib/media.js";
+import { FINISHED_STATUSES, PHASE_LABELS, classifyStatus, createLifecycleMonitor } from "./lib/lifecycle.js";
+import { createUsageStore, callSeconds, estimateCost } from "./lib/usage.js";
+import {
+  TRANSCRIPTION_PROVIDERS, DEFAULT_TRANSCRIPTION_PROVIDER, joinMessage,
+  validateJoinOptions, recallJoinFields, groupthinkJoinFields, describeJoinOptions,
+} from "./lib/join-options.js";
 
 // Auth: either direct keys (self-hosted) or Groupthink API token (hosted)
 const GROUPTHINK_TOKEN = process.env.GROUPTHINK_TOKEN;
@@ -12,60 +44,212 @@ const GROUPTHINK_API = process.env.GROUPTHINK_API || "https://app.groupthink.com
 const RECALL_TOKEN = process.env.RECALL_TOKEN || process.env.RECALLAI_TOKEN;
 const OPENAI_KEY = process.env.OPENAI_KEY || process.env.OPENAI_API_KEY;
 
-const isHostedMode = !!GROUPTHINK_TOKEN;
-const isDirectMode = !isHostedMode && RECALL_TOKEN && OPENAI_KEY;
+// Text-to-speech engine for direct mode: openai (default), piper or espeak.
+// The local engines run offline, so OPENAI_KEY isn't needed with them.
+const TTS_PROVIDER = (process.env.TTS_PROVIDER || "openai").toLowerCase();
+const TTS_MODEL = process.env.TTS_MODEL || "tts-1";
+const TTS_SPEED = parseFloat(process.env.TTS_SPEED || "1.0");
+
+// Real-time transcription receiver (direct mode). RECALL_WEBHOOK_URL is the
+// public address Recall posts to; RECALL_WEBHOOK_PORT is the local listener
+// that address forwards to.
+const RECALL_WEBHOOK_URL = process.env.RECALL_WEBHOOK_URL?.replace(/\/+$/, "");
+const RECALL_WEBHOOK_PORT = process.env.RECALL_WEBHOOK_PORT;
+const RECALL_WEBHOOK_SECRET = process.env.RECALL_WEBHOOK_SECRET;
+
+// Simulator mode (offline development and tests): MEETING_SIMULATOR names a
+// script file that is replayed in place of Recall. It takes precedence over
+// any credentials, and otherwise behaves like direct mode.
+const SIMULATOR_SCRIPT = process.env.MEETING_SIMULATOR;
+
+const isSimulatorMode = !!SIMULATOR_SCRIPT;
+const isHostedMode = !isSimulatorMode && !!GROUPTHINK_TOKEN;
+const isDirectMode = isSimulatorMode || (!isHostedMode && RECALL_TOKEN && (OPENAI_KEY || TTS_PROVIDER !== "openai"));
 
 if (!isHostedMode && !isDirectMode) {
   console.error(
     "Authentication required. Either:\n" +
       "  - Set GROUPTHINK_TOKEN (recommended)\n" +
-      "  - Or set both RECALL_TOKEN and OPENAI_KEY (self-hosted)\n"
+      "  - Or set both RECALL_TOKEN and OPENAI_KEY (self-hosted)\n" +
+      "  - Or set RECALL_TOKEN with TTS_PROVIDER=piper or espeak (self-hosted, offline speech)\n" +
+      "  - Or set MEETING_SIMULATOR to a script file (simulated meetings, no network)\n"
   );
   process.exit(1);
 }
 
 // Track active bots and transcript cursors
 const activeBots = new Map();
+const MODE = isHostedMode ? "hosted" : isSimulatorMode ? "simulator" : "direct";
+
+// Emits ("speech", botId) when new transcript entries are known to have arrived
+const transcriptEvents = new EventEmitter();
+// One listener per pending wait_for_speech call, so there can be many
+transcriptEvents.setMaxListeners(0);
+
+let transcriptReceiver = null;
+if (isDirectMode && !isSimulatorMode && RECALL_WEBHOOK_PORT) {
+  if (!RECALL_WEBHOOK_URL) {
+    console.error("RECALL_WEBHOOK_PORT is set but RECALL_WEBHOOK_URL is not — Recall has no public address to send transcripts to. Receiver disabled.");
+  } else {
+    try {
+      transcriptReceiver = await startTranscriptReceiver({
+        port: Number(RECALL_WEBHOOK_PORT),
+        secret: RECALL_WEBHOOK_SECRET,
+        acceptBot: (botId) => activeBots.has(botId),
+        onEntry: (botId) => transcriptEvents.emit("speech", botId),
+      });
+      console.error(`Transcription receiver listening on ${transcriptReceiver.host}:${transcriptReceiver.port}`);
+      if (!RECALL_WEBHOOK_SECRET) {
+        console.error("Warning: RECALL_WEBHOOK_SECRET is not set — transcription webhooks are accepted without signature checks.");
+      }
+    } catch (err) {
+      console.error(`Failed to start transcription receiver on port ${RECALL_WEBHOOK_PORT}: ${err.message}`);
+    }
+  }
+}
 
-// Local notes storage for self-hosted mode
-import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
-import { join, dirname } from "node:path";
+const NO_RECEIVER_NOTE =
+  "No transcription receiver is configured (set RECALL_WEBHOOK_URL and RECALL_WEBHOOK_PORT). " +
+  "Live transcripts are not streamed; get_transcript falls back to polling Recall, which may return nothing until the call ends.";
+
+// ── Local data ────────────────────────────────────────────────────────────────
+// Notes and bot sessions live outside the package folder so they survive
+// reinstalls. Older releases kept them in .notes/ and .state/ next to index.js;
+// those are still read when nothing has been written to the data dir yet.
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
+import { join, dirname, resolve } from "node:path";
+import { homedir } from "node:os";
 import { fileURLToPath } from "node:url";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const NOTES_DIR = join(__dirname, ".notes");
+const DATA_DIR = resolve(process.env.MEETING_DATA_DIR || join(homedir(), ".groupthink-meeting"));
+const NOTES_DIR = join(DATA_DIR, "notes");
+const LEGACY_NOTES_DIR = join(__dirname, ".notes");
+const ARCHIVE_DIR = join(DATA_DIR, "archive");
+
+// Usage metering (see usage_report). The rates only feed the cost estimate;
+// defaults are list prices at the time of writing. The caps are enforced:
+// speak is refused past the daily TTS budget, and a bot leaves on its own
+// after its maximum minutes in the call.
+const usage = createUsageStore({ path: join(DATA_DIR, "usage.json") });
+const USAGE_RATES = {
+  botHour: parseFloat(process.env.USAGE_RATE_BOT_HOUR || "0.50"),
+  ttsPer1kChars: parseFloat(process.env.USAGE_RATE_TTS_1K_CHARS ||
+    (TTS_PROVIDER !== "openai" || isSimulatorMode ? "0" : TTS_MODEL === "tts-1-hd" ? "0.03" : "0.015")),
+  apiCall: parseFloat(process.env.USAGE_RATE_API_CALL || "0"),
+};
+const USAGE_MAX_BOT_MINUTES = Number(process.env.USAGE_MAX_BOT_MINUTES) || null;
+const USAGE_MAX_TTS_CHARS_PER_DAY = Number(process.env.USAGE_MAX_TTS_CHARS_PER_DAY) || null;
+
+// Answers recallApi calls and synthesizes speech in simulator mode
+let simulator = null;
+if (isSimulatorMode) {
+  try {
+    simulator = createSimulator({
+      script: loadScript(resolve(SIMULATOR_SCRIPT)),
+      logPath: resolve(process.env.MEETING_SIMULATOR_LOG || join(DATA_DIR, "simulator-log.jsonl")),
+      speed: Number(process.env.MEETING_SIMULATOR_SPEED) || 1,
+      onSpeech: (botId) => transcriptEvents.emit("speech", botId),
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+function readLocalNoteVersions(botId) {
+  return loadNoteVersions(NOTES_DIR, botId, LEGACY_NOTES_DIR);
+}
 
-function getLocalNotesPath(botId) {
-  return join(NOTES_DIR, `${botId}.json`);
+function writeLocalNotes(botId, notes, merge) {
+  return saveNoteVersion(NOTES_DIR, botId, notes, { merge, legacyDir: LEGACY_NOTES_DIR });
 }
 
-function readLocalNotes(botId) {
+// Latest local notes in the shape get_notes has always returned, or null
+function latestLocalNotes(botId) {
+  const versions = readLocalNoteVersions(botId);
+  const latest = versions[versions.length - 1];
+  if (!latest) return null;
+  return { ...latest.notes, updated_at: latest.saved_at, version: latest.version, total_versions: versions.length };
+}
+
+// ── Bot sessions ──────────────────────────────────────────────────────────────
+// Persisted so a restarted server still knows about bots that are in a call.
+// Set KEEP_BOTS_ON_EXIT=1 to leave bots in their meetings on shutdown, so the
+// next server process picks them up instead of removing them.
+
+const STATE_FILE = join(DATA_DIR, "bots.json");
+const LEGACY_STATE_FILE = join(__dirname, ".state", "bots.json");
+const KEEP_BOTS_ON_EXIT = process.env.KEEP_BOTS_ON_EXIT === "1";
+
+// `transcriptCursor` maps transcript entries to words already delivered by
+// get_transcript; null until the first read. `selfSpeakerId` is the bot's own
+// participant ID once it has been recognized in the transcript. `chatCursor`
+// counts chat messages already delivered by get_chat_messages.
+function createBotRecord({
+  id, name, meetingUrl, createdAt = new Date().toISOString(),
+  lastTranscriptTs = null, transcriptCursor = null, selfSpeakerId = null, chatCursor = 0,
+}) {
+  return {
+    id,
+    name,
+    meetingUrl,
+    mode: MODE,
+    createdAt,
+    lastTranscriptTs,
+    transcriptCursor,
+    selfSpeakerId,
+    chatCursor,
+    // --http mode: each client session's own get_transcript / get_chat_messages cursors, by session ID
+    sessionCursors: new Map(),
+    sessionChatCursors: new Map(),
+    spokenTexts: [],
+    // Chat messages the bot posted, and its chat sender ID once recognized
+    sentChats: [],
+    selfChatSenderId: null,
+    // Wall-clock ms the transcript's timestamps count from, once known
+    recordingStartedAt: null,
+    handRaisedAt: null,
+    queuedSpeech: null,
+    turnNotices: [],
+  };
+}
+
+// Records from the other mode can't be driven with the current credentials,
+// but they're kept on disk for when the configuration switches back.
+const savedBotRecords = loadBotRecords(existsSync(STATE_FILE) ? STATE_FILE : LEGACY_STATE_FILE);
+const otherModeRecords = savedBotRecords.filter((r) => r.mode !== MODE);
+
+function persistBots() {
   try {
-    return JSON.parse(readFileSync(getLocalNotesPath(botId), "utf-8"));
-  } catch {
-    return null;
+    saveBotRecords(STATE_FILE, [...activeBots.values(), ...otherModeRecords]);
+  } catch (err) {
+    console.error(`Failed to save bot sessions to ${STATE_FILE}: ${err.message}`);
   }
 }
 
-function writeLocalNotes(botId, notes) {
-  mkdirSync(NOTES_DIR, { recursive: true });
-  writeFileSync(getLocalNotesPath(botId), JSON.stringify(notes, null, 2));
+for (const record of savedBotRecords) {
+  if (record.mode !== MODE || !record.id) continue;
+  activeBots.set(record.id, createBotRecord(record));
+  // Bots saved before usage was metered
+  if (!usage.bot(record.id)) usage.startBot(record.id, { name: record.name, meetingUrl: record.meetingUrl });
 }
 
-const server = new McpServer({
-  name: "groupthink-meeting",
-  version: "0.2.0",
-});
+// Tools and resources are declared once on `server` and installed on every
+// McpServer instance: a single one over stdio, or one per client session in
+// --http mode. Bots and everything else below are shared by all sessions.
+const serverDefinitions = [];
+const server = {
+  tool: (...args) => serverDefinitions.push((mcp) => mcp.tool(...args)),
+  resource: (...args) => serverDefinitions.push((mcp) => mcp.resource(...args)),
+};
 
 // ── Timeout & error helpers ──────────────────────────────────────────────────
 
-const RECALL_TIMEOUT = 30_000;
+// Per attempt; lib/http-client.js also caps each call's total time across retries
+const API_ATTEMPT_TIMEOUT = 30_000;
 const TTS_TIMEOUT = 60_000;
 
-function timeoutSignal(ms) {
-  return AbortSignal.timeout(ms);
-}
-
 function humanRecallError(status, data) {
   const detail = data?.detail || data?.error || JSON.stringify(data);
   switch (status) {
@@ -85,365 +269,2055 @@ function sleep(ms) {
 
 // ── API helpers ───────────────────────────────────────────────────────────────
 
-async function groupthinApi(method, path, body) {
-  const res = await fetch(`${GROUPTHINK_API}/api/v1/mcp${path}`, {
+// Both return { ok, status, data, attempts }. Transient failures are retried
+// (see lib/http-client.js); pass `idempotencyKey` to make a POST retryable.
+// Every attempt counts toward usage, under the bot the path names.
+
+function meterApiCall(path, attempts) {
+  const botId = path.match(/^\/bots?\/([\w-]+)(?:\/|$)/)?.[1] ?? null;
+  usage.record(botId, { apiCalls: attempts });
+}
+
+async function groupthinApi(method, path, body, { idempotencyKey } = {}) {
+  const result = await requestJson(`${GROUPTHINK_API}/api/v1/mcp${path}`, {
     method,
     headers: {
       Authorization: `Bearer ${GROUPTHINK_TOKEN}`,
       "Content-Type": "application/json",
       Accept: "application/json",
     },
-    body: body ? JSON.stringify(body) : undefined,
-    signal: timeoutSignal(RECALL_TIMEOUT),
+    body,
+    idempotencyKey,
+    retry: { attemptTimeoutMs: API_ATTEMPT_TIMEOUT },
   });
-  const text = await res.text();
-  let data;
-  try { data = JSON.parse(text); } catch { data = { raw: text }; }
-  return { ok: res.ok, status: res.status, data };
+  meterApiCall(path, result.attempts);
+  return result;
 }
 
-async function recallApi(method, path, body) {
-  const opts = {
-    method,
-    headers: {
-      Authorization: `Token ${RECALL_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    signal: timeoutSignal(RECALL_TIMEOUT),
-  };
-  if (body) opts.body = JSON.stringify(body);
-  const res = await fetch(`https://api.recall.ai/api/v1${path}`, opts);
-  const text = await res.text();
-  let data;
-  try { data = JSON.parse(text); } catch { data = { raw: text }; }
-  return { ok: res.ok, status: res.status, data };
+async function recallApi(method, path, body, { idempotencyKey } = {}) {
+  let result;
+  if (simulator) {
+    result = { ...(await simulator.request(method, path, body)), attempts: 1 };
+  } else {
+    result = await requestJson(`https://api.recall.ai/api/v1${path}`, {
+      method,
+      headers: {
+        Authorization: `Token ${RECALL_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+      body,
+      idempotencyKey,
+      retry: { attemptTimeoutMs: API_ATTEMPT_TIMEOUT },
+    });
+  }
+  meterApiCall(path, result.attempts);
+  return result;
 }
 
 function formatApiError(label, status, data) {
   return `${label}: ${humanRecallError(status, data)}`;
 }
 
+// Normalized bot status for either mode:
+// { name, code, subCode, meetingUrl, platform, createdAt, recordingStartedAt },
+// or { error, status } if the API call failed.
+async function fetchBotStatus(botId) {
+  if (isHostedMode) {
+    const { ok, status, data } = await groupthinApi("GET", `/bots/${botId}/status`);
+    if (!ok) return { error: formatApiError("Failed to check status", status, data), status };
+    return {
+      name: data.bot_name,
+      code: data.status,
+      subCode: data.sub_code ?? null,
+      meetingUrl: data.meeting_url,
+      platform: platformLabel(data.meeting_url),
+      createdAt: data.created_at,
+      recordingStartedAt: data.recording_started_at ?? null,
+    };
+  }
+
+  const { ok, status, data } = await recallApi("GET", `/bot/${botId}/`);
+  if (!ok) return { error: formatApiError("Failed to check status", status, data), status };
+
+  const statuses = data.status_changes || [];
+  const latest = statuses[statuses.length - 1];
+  // Recall returns meeting_url as { meeting_id, platform, ... }; the link we joined with reads better
+  const joinedUrl = activeBots.get(botId)?.meetingUrl;
+  return {
+    name: data.bot_name,
+    code: latest?.code || "unknown",
+    subCode: latest?.sub_code ?? null,
+    meetingUrl: typeof data.meeting_url === "string" ? data.meeting_url : joinedUrl ?? JSON.stringify(data.meeting_url),
+    platform: platformLabel(data.meeting_url) ?? platformLabel(joinedUrl),
+    createdAt: data.created_at,
+    recordingStartedAt: statuses.find((s) => s.code === "in_call_recording")?.created_at ?? null,
+  };
+}
+
+// Saved notes for a bot: { notes } (null if none saved yet) or { error }
+async function fetchNotes(botId) {
+  if (isHostedMode) {
+    const { ok, status, data } = await groupthinApi("GET", `/bots/${botId}/notes`);
+    if (status === 404) return { notes: null };
+    if (!ok) return { error: formatApiError("Failed to get notes", status, data) };
+    return { notes: data };
+  }
+  return { notes: latestLocalNotes(botId) };
+}
+
+// Save the meeting's final transcript, participants and notes to the archive.
+// Best-effort: a meeting that can't be archived still gets left.
+async function archiveBot(botId) {
+  const bot = activeBots.get(botId);
+  try {
+    const [{ transcript = [] }, { notes = null }] = await Promise.all([fetchTranscript(botId), fetchNotes(botId)]);
+    if (transcript.length === 0 && !notes) return;
+    archiveMeeting(ARCHIVE_DIR, {
+      botId,
+      name: bot?.name,
+      meetingUrl: bot?.meetingUrl,
+      startedAt: bot?.createdAt,
+      transcript,
+      notes,
+    });
+  } catch (err) {
+    console.error(`Failed to archive meeting for bot ${botId}: ${err.message}`);
+  }
+}
+
+const SENT_CHAT_MEMORY = 50;
+
+// Remembers what was sent so get_chat_messages can leave the bot's own messages out
+function rememberSentChat(bot, message) {
+  if (!bot) return;
+  bot.sentChats.push(message.trim());
+  if (bot.sentChats.length > SENT_CHAT_MEMORY) bot.sentChats.shift();
+}
+
+async function sendChatMessage(botId, message) {
+  const result = isHostedMode
+    ? await groupthinApi("POST", `/bots/${botId}/chat`, { message })
+    : await recallApi("POST", `/bot/${botId}/send_chat_message/`, { message });
+  if (result.ok) {
+    rememberSentChat(activeBots.get(botId), message);
+    usage.record(botId, { chatMessages: 1 });
+  }
+  return result;
+}
+
+const CHAT_MAX_PAGES = 20;
+
+// Recall: { text, created_at, sender: { id, name }, to }. The hosted API may
+// also give the sender as a plain name.
+function normalizeChatMessage(m) {
+  const sender = m.sender && typeof m.sender === "object" ? m.sender : { name: m.sender ?? m.sender_name };
+  return {
+    sender: sender.name || "Unknown",
+    senderId: sender.id ?? m.sender_id ?? null,
+    text: String(m.text ?? m.message ?? ""),
+    at: m.created_at ?? m.timestamp ?? null,
+    to: m.to ?? "everyone",
+  };
+}
+
+// Meeting chat for a bot, oldest first: { messages } or { error }
+async function fetchChatMessages(botId) {
+  let raw = [];
+  if (isHostedMode) {
+    const { ok, status, data } = await groupthinApi("GET", `/bots/${botId}/chat`);
+    if (!ok) return { error: formatApiError("Failed to get chat messages", status, data) };
+    raw = Array.isArray(data) ? data : data.messages || [];
+  } else {
+    let path = `/bot/${botId}/chat-messages/`;
+    for (let page = 0; path && page < CHAT_MAX_PAGES; page++) {
+      const { ok, status, data } = await recallApi("GET", path);
+      if (!ok) return { error: formatApiError("Failed to get chat messages", status, data) };
+      raw.push(...(Array.isArray(data) ? data : data.results || []));
+      path = data.next ? data.next.replace(/^https:\/\/api\.recall\.ai\/api\/v1/, "") : null;
+    }
+  }
+  return { messages: raw.map(normalizeChatMessage).filter((m) => m.text.trim()) };
+}
+
+// Full transcript for a bot as Recall-shaped entries ({ speaker, words: [...] }).
+// Direct mode reads the webhook buffer when the receiver is running.
+async function fetchTranscript(botId) {
+  if (isHostedMode) {
+    const { ok, status, data } = await groupthinApi("GET", `/bots/${botId}/transcript`);
+    if (!ok) return { error: formatApiError("Failed to get transcript", status, data) };
+    return { transcript: Array.isArray(data) ? data : data.transcript || [] };
+  }
+
+  if (transcriptReceiver) {
+    return { transcript: transcriptReceiver.getEntries(botId) };
+  }
+
+  const { ok, status, data } = await recallApi("GET", `/bot/${botId}/transcript/`);
+  if (!ok) return { error: formatApiError("Failed to get transcript", status, data) };
+  return { transcript: Array.isArray(data) ? data : [] };
+}
+
+// Participant list in Recall's `meeting_participants` shape: { participants } or { error }
+async function fetchParticipants(botId) {
+  if (isHostedMode) {
+    const { ok, status, data } = await groupthinApi("GET", `/bots/${botId}/participants`);
+    if (!ok) return { error: formatApiError("Failed to get participants", status, data) };
+    return { participants: Array.isArray(data) ? data : data.participants || [] };
+  }
+  const { ok, status, data } = await recallApi("GET", `/bot/${botId}/`);
+  if (!ok) return { error: formatApiError("Failed to get participants", status, data) };
+  return { participants: data.meeting_participants || [] };
+}
+
+// The bot is a participant too. Its ID is known once it's been heard speaking;
+// until then its name is the best guess.
+function isBotParticipant(bot, participant) {
+  if (!bot) return false;
+  return bot.selfSpeakerId !== null ? participant.id === bot.selfSpeakerId : participant.name === bot.name;
+}
+
+// ── Bot creation ──────────────────────────────────────────────────────────────
+
+// Bot creations still in flight, by meeting and bot name
+const pendingBotCreations = new Map();
+
+// A bot of ours with this name that is in (or joining) the meeting, if any
+async function findLiveBot(url, botName) {
+  for (const bot of activeBots.values()) {
+    if (bot.meetingUrl !== url || bot.name !== botName) continue;
+    const { error, code } = await fetchBotStatus(bot.id);
+    if (!error && !FINISHED_STATUSES.has(code)) return bot.id;
+  }
+  return null;
+}
+
+// Shared by join_meeting and scheduled joins. Returns { botId, existing } or
+// { error }. A join_meeting retried after a timeout gets the bot the first
+// call created (`existing` is set) instead of putting a second one in the call.
+async function createBot({ url, bot_name, options = {} }) {
+  const key = `${url}|${bot_name}`;
+  if (pendingBotCreations.has(key)) {
+    const result = await pendingBotCreations.get(key);
+    return result.error ? result : { ...result, existing: true };
+  }
+
+  const creation = findLiveBot(url, bot_name).then((liveBotId) =>
+    liveBotId ? { botId: liveBotId, existing: true } : createNewBot({ url, bot_name, options }));
+  pendingBotCreations.set(key, creation);
+  try {
+    return await creation;
+  } finally {
+    pendingBotCreations.delete(key);
+  }
+}
+
+async function createNewBot({ url, bot_name, options }) {
+  let botId;
+  // Retries of this request (see lib/http-client.js) can't create a second bot
+  const idempotencyKey = randomUUID();
+
+  if (isHostedMode) {
+    const { fields, error } = groupthinkJoinFields(options);
+    if (error) return { error };
+    const { ok, status, data } = await groupthinApi("POST", "/bots", {
+      meeting_url: url,
+      bot_name,
+      ...fields,
+    }, { idempotencyKey });
+    if (!ok) {
+      return { error: formatApiError("Failed to create bot", status, data) };
+    }
+    botId = data.bot_id;
+  } else {
+    const { fields, error } = recallJoinFields(options, bot_name);
+    if (error) return { error };
+    const payload = {
+      bot_name,
+      meeting_url: url,
+      ...fields,
+    };
+    if (RECALL_WEBHOOK_URL) {
+      payload.real_time_transcription = {
+        destination_url: `${RECALL_WEBHOOK_URL}/transcription`,
+        partial_results: false,
+      };
+    }
+    const { ok, status, data } = await recallApi("POST", "/bot/", payload, { idempotencyKey });
+    if (!ok) {
+      return { error: formatApiError("Failed to create bot", status, data) };
+    }
+    botId = data.id;
+  }
+
+  const bot = createBotRecord({ id: botId, name: bot_name, meetingUrl: url });
+  const greeting = joinMessage(options, bot_name);
+  if (isDirectMode && greeting) rememberSentChat(bot, greeting);
+  activeBots.set(botId, bot);
+  persistBots();
+  usage.startBot(botId, { name: bot_name, meetingUrl: url });
+  notifyBotListChanged();
+  return { botId, existing: false };
+}
+
+// ── Scheduled joins ───────────────────────────────────────────────────────────
+// Kept in the data dir so a restarted server still joins on time. Joins only
+// happen while the server is running (i.e. while an MCP client has it open).
+
+const scheduler = createScheduler({
+  path: join(DATA_DIR, "scheduled.json"),
+  join: async (entry) => {
+    const meeting = parseMeetingUrl(entry.meeting_url, { passcode: entry.passcode ?? undefined });
+    if (meeting.error) return { error: meeting.error };
+    return createBot({ url: meeting.url, bot_name: entry.bot_name, options: entry.options ?? {} });
+  },
+  onSettled: (entry) => {
+    const what = entry.title ? `"${entry.title}"` : entry.meeting_url;
+    console.error(entry.status === "joined"
+      ? `Scheduled join ${entry.id}: bot ${entry.bot_id} is joining ${what}`
+      : `Scheduled join ${entry.id} for ${what} ${entry.status}: ${entry.error}`);
+  },
+});
+
+function describeScheduled(entry) {
+  const when = new Date(entry.join_at).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+  const outcome = {
+    pending: "",
+    joined: ` — joined as bot ${entry.bot_id}`,
+    failed: ` — failed: ${entry.error}`,
+    missed: ` — missed: ${entry.error}`,
+    cancelled: " — cancelled",
+  }[entry.status];
+  const settings = describeJoinOptions(entry.options ?? {});
+  return `- [${entry.id}] ${when} · ${entry.title ? `${entry.title} · ` : ""}"${entry.bot_name}" → ${entry.meeting_url}` +
+    `${settings ? ` (${settings})` : ""}${outcome}`;
+}
+
+// Validates and schedules; returns the text reply for join_meeting / schedule_meeting
+function scheduleJoin({ meeting_url, bot_name, passcode, join_at, title, options = {} }) {
+  const meeting = parseMeetingUrl(meeting_url, { passcode });
+  if (meeting.error) {
+    return `Can't schedule: ${meeting.error}`;
+  }
+  const invalid = validateJoinOptions(options);
+  if (invalid) {
+    return `Can't schedule: ${invalid}`;
+  }
+  const joinAt = parseJoinAt(join_at);
+  if (joinAt === null) {
+    return `Can't schedule: "${join_at}" isn't a time — use an ISO date-time (2024-05-07T10:00:00+02:00) or HH:MM.`;
+  }
+  if (joinAt < Date.now() - 60_000) {
+    return `Can't schedule: ${new Date(joinAt).toISOString()} is in the past.`;
+  }
+  const { entry } = scheduler.add({ meetingUrl: meeting.url, botName: bot_name, joinAt, title: title ?? null, options });
+  return `⏰ Scheduled "${bot_name}" to join the ${meeting.label} meeting at ${new Date(joinAt).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" })} (schedule ID: ${entry.id}).\n\n` +
+    (describeJoinOptions(options) ? `Settings: ${describeJoinOptions(options)}.\n\n` : "") +
+    `The bot is created when the time comes, as long as this server is running. ` +
+    `Use list_scheduled to see its bot_id once it has joined, or cancel_scheduled(schedule_id="${entry.id}") to call it off.`;
+}
+
 // ── join_meeting ──────────────────────────────────────────────────────────────
+// Optional settings shared by join_meeting and schedule_meeting (see lib/join-options.js)
+const JOIN_OPTION_PARAMS = {
+  transcription_provider: z.enum(TRANSCRIPTION_PROVIDERS).optional()
+    .describe(`Speech-to-text engine (default ${DEFAULT_TRANSCRIPTION_PROVIDER}); meeting_captions uses the platform's own captions`),
+  language: z.string().optional().describe("Language spoken in the meeting, e.g. \"es\" or \"en-US\" (default: English)"),
+  join_message: z.string().optional()
+    .describe("Chat message posted when the bot joins (default: \"👋 <bot_name> has joined the meeting.\"). Empty string for none"),
+  avatar_path: z.string().optional()
+    .describe("JPEG shown as the bot's video tile, relative to the working directory (1280×720 works best)"),
+  leave_when_alone_minutes: z.number().min(0).max(240).optional()
+    .describe("Leave once nobody else has been in the call for this long (0 = as soon as the last person leaves)"),
+  waiting_room_timeout_minutes: z.number().min(1).max(240).optional()
+    .describe("Give up if not admitted from the waiting room within this long"),
+  max_duration_minutes: z.number().min(1).max(1440).optional()
+    .describe("Leave after this long in the call, whatever is happening"),
+};
+
 server.tool(
   "join_meeting",
-  "Join a Google Meet, Zoom, or Teams meeting as a named participant with voice capabilities",
+  "Join a Google Meet, Zoom, Microsoft Teams or Webex meeting as a named participant with voice capabilities. " +
+  "Pass join_at to join later instead of now",
   {
-    meeting_url: z.string().describe("Meeting URL or Google Meet code (e.g. abc-defg-hij)"),
+    meeting_url: z.string()
+      .describe("Meeting link, Google Meet code (e.g. abc-defg-hij) or Zoom meeting ID (e.g. 123 4567 8901)"),
     bot_name: z.string().default("Agent").describe("Display name in the meeting"),
+    passcode: z.string().optional().describe("Zoom passcode, if it isn't already part of the link"),
+    join_at: z.string().optional()
+      .describe("Join at this time instead of now: ISO date-time (2024-05-07T10:00:00+02:00) or HH:MM for the next occurrence in local time"),
+    ...JOIN_OPTION_PARAMS,
   },
-  async ({ meeting_url, bot_name }) => {
-    // Normalize Google Meet codes to full URLs
-    let url = meeting_url;
-    if (/^[a-z]{3}-[a-z]{4}-[a-z]{3}$/.test(url)) {
-      url = `https://meet.google.com/${url}`;
-    } else if (!url.startsWith("http")) {
-      url = `https://meet.google.com/${url}`;
+  async ({ meeting_url, bot_name, passcode, join_at, ...options }) => {
+    if (join_at) {
+      return { content: [{ type: "text", text: scheduleJoin({ meeting_url, bot_name, passcode, join_at, options }) }] };
     }
 
-    let botId;
-
-    if (isHostedMode) {
-      const { ok, status, data } = await groupthinApi("POST", "/bots", {
-        meeting_url: url,
-        bot_name,
-      });
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to create bot", status, data) }] };
-      }
-      botId = data.bot_id;
-    } else {
-      const { ok, status, data } = await recallApi("POST", "/bot/", {
-        bot_name,
-        meeting_url: url,
-        transcription_options: { provider: "deepgram" },
-        real_time_transcription: {
-          destination_url: (process.env.RECALL_WEBHOOK_URL || "https://groupthink-elle.ngrok.app/webhooks/v1/recall") + "/transcription",
-          partial_results: false,
-        },
-        chat: {
-          on_bot_join: {
-            send_to: "everyone",
-            message: `👋 ${bot_name} has joined the meeting.`,
-          },
-        },
-      });
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to create bot", status, data) }] };
-      }
-      botId = data.id;
+    const meeting = parseMeetingUrl(meeting_url, { passcode });
+    if (meeting.error) {
+      return { content: [{ type: "text", text: `Can't join: ${meeting.error}` }] };
     }
 
-    activeBots.set(botId, {
-      name: bot_name,
-      meetingUrl: url,
-      lastTranscriptTs: null,
-    });
+    const { botId, existing, error } = await createBot({ url: meeting.url, bot_name, options });
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
+    if (existing) {
+      return {
+        content: [{
+          type: "text",
+          text: `Bot "${bot_name}" is already in this meeting (ID: ${botId}), so no second bot was created. ` +
+            `Use get_transcript(bot_id="${botId}") to listen, or leave_meeting first for a fresh bot.`,
+        }],
+      };
+    }
 
     return {
       content: [
         {
           type: "text",
-          text: `✅ Bot "${bot_name}" created (ID: ${botId}). It's joining the meeting now.\n\n` +
+          text: `✅ Bot "${bot_name}" created (ID: ${botId}). It's joining the ${meeting.label} meeting now.\n\n` +
+            (describeJoinOptions(options) ? `Settings: ${describeJoinOptions(options)}.\n\n` : "") +
             `The host may need to admit the bot from the waiting room.\n\n` +
             `Use get_transcript(bot_id="${botId}") to listen, and speak(bot_id="${botId}", text="...") to talk.\n\n` +
             `**Suggested workflow:**\n` +
-            `1. Wait ~15 seconds for the bot to be admitted\n` +
+            `1. Call wait_until_admitted(bot_id="${botId}") — it returns once the bot is in the call\n` +
             `2. Call get_transcript to see what people are saying\n` +
             `3. Call speak when you want to say something\n` +
-            `4. Call leave_meeting when done`,
+            `4. Call leave_meeting when done` +
+            (isDirectMode && !isSimulatorMode && !RECALL_WEBHOOK_URL ? `\n\n⚠️ ${NO_RECEIVER_NOTE}` : ""),
         },
       ],
     };
   }
 );
 
+// ── schedule_meeting ──────────────────────────────────────────────────────────
+server.tool(
+  "schedule_meeting",
+  "Schedule the bot to join a meeting later (e.g. \"join my 10:00 standup\"). Survives server restarts",
+  {
+    meeting_url: z.string()
+      .describe("Meeting link, Google Meet code (e.g. abc-defg-hij) or Zoom meeting ID (e.g. 123 4567 8901)"),
+    join_at: z.string()
+      .describe("When to join: ISO date-time (2024-05-07T10:00:00+02:00) or HH:MM for the next occurrence in local time"),
+    bot_name: z.string().default("Agent").describe("Display name in the meeting"),
+    passcode: z.string().optional().describe("Zoom passcode, if it isn't already part of the link"),
+    title: z.string().optional().describe("A label for the meeting, shown by list_scheduled"),
+    ...JOIN_OPTION_PARAMS,
+  },
+  async ({ meeting_url, join_at, bot_name, passcode, title, ...options }) => ({
+    content: [{ type: "text", text: scheduleJoin({ meeting_url, join_at, bot_name, passcode, title, options }) }],
+  })
+);
+
+// ── list_scheduled ────────────────────────────────────────────────────────────
+server.tool(
+  "list_scheduled",
+  "List scheduled joins, soonest first. Joined entries show the bot_id to use with the other tools",
+  {
+    include_finished: z.boolean().default(true)
+      .describe("Also list joins from the past week that already ran, failed, were missed or were cancelled"),
+  },
+  async ({ include_finished }) => {
+    const entries = scheduler.list({ includeFinished: include_finished });
+    if (entries.length === 0) {
+      return { content: [{ type: "text", text: "Nothing scheduled. Use schedule_meeting or import_calendar to add joins." }] };
+    }
+    return { content: [{ type: "text", text: `Scheduled joins:\n\n${entries.map(describeScheduled).join("\n")}` }] };
+  }
+);
+
+// ── cancel_scheduled ──────────────────────────────────────────────────────────
+server.tool(
+  "cancel_scheduled",
+  "Cancel a scheduled join before it happens",
+  {
+    schedule_id: z.string().describe("The schedule ID from schedule_meeting or list_scheduled"),
+  },
+  async ({ schedule_id }) => {
+    const entry = scheduler.cancel(schedule_id);
+    if (!entry) {
+      return { content: [{ type: "text", text: `No pending scheduled join with ID ${schedule_id}. Use list_scheduled to see them.` }] };
+    }
+    return { content: [{ type: "text", text: `🗑️ Cancelled:\n${describeScheduled(entry)}` }] };
+  }
+);
+
+// ── import_calendar ───────────────────────────────────────────────────────────
+server.tool(
+  "import_calendar",
+  "Read a local .ics calendar file, find upcoming events with a Meet, Zoom, Teams or Webex link, and schedule the bot to join them",
+  {
+    ics_path: z.string().describe("Path to the .ics file (relative to the working directory or absolute)"),
+    match: z.string().optional().describe("Only events whose title contains this text (case-insensitive), e.g. \"standup\""),
+    days: z.number().int().min(1).max(60).default(7).describe("How many days ahead to schedule"),
+    bot_name: z.string().default("Agent").describe("Display name in the meetings"),
+    join_early_minutes: z.number().min(0).max(30).default(1).describe("Join this many minutes before each event starts"),
+    dry_run: z.boolean().default(false).describe("Only list what would be scheduled"),
+  },
+  async ({ ics_path, match, days, bot_name, join_early_minutes, dry_run }) => {
+    let events;
+    try {
+      events = parseIcs(readFileSync(resolve(ics_path), "utf-8"));
+    } catch (err) {
+      return { content: [{ type: "text", text: `Couldn't read ${ics_path}: ${err.message}` }] };
+    }
+
+    const now = Date.now();
+    const leadMs = join_early_minutes * 60_000;
+    const { occurrences, unsupported } = expandEvents(events, { from: now + leadMs, to: now + days * 86_400_000 });
+    const wanted = match ? occurrences.filter((o) => o.summary.toLowerCase().includes(match.toLowerCase())) : occurrences;
+
+    const scheduled = [];
+    const duplicates = [];
+    const noLink = [];
+    for (const occurrence of wanted) {
+      const link = findMeetingLink(occurrence.links.join("\n"));
+      if (!link) {
+        noLink.push(occurrence.summary || "(untitled)");
+        continue;
+      }
+      const joinAt = occurrence.start - leadMs;
+      if (dry_run) {
+        scheduled.push({ id: "dry-run", join_at: new Date(joinAt).toISOString(), title: occurrence.summary, bot_name, meeting_url: link.url, status: "pending" });
+        continue;
+      }
+      const { entry, duplicate } = scheduler.add({
+        meetingUrl: link.url, botName: bot_name, joinAt, title: occurrence.summary, source: "ics", uid: occurrence.uid,
+      });
+      (duplicate ? duplicates : scheduled).push(entry);
+    }
+
+    const parts = [];
+    parts.push(scheduled.length
+      ? `${dry_run ? "Would schedule" : "⏰ Scheduled"} ${scheduled.length} join(s):\n${scheduled.map(describeScheduled).join("\n")}`
+      : `No new joins to schedule from ${wanted.length} event(s) in the next ${days} day(s)${match ? ` matching "${match}"` : ""}.`);
+    if (duplicates.length) parts.push(`Already scheduled (skipped): ${duplicates.length}`);
+    if (noLink.length) parts.push(`Skipped — no meeting link: ${[...new Set(noLink)].join(", ")}`);
+    if (unsupported.length) {
+      parts.push(`Only the first occurrence was considered for these recurring events (monthly/yearly rules aren't expanded): ${[...new Set(unsupported)].join(", ")}`);
+    }
+    return { content: [{ type: "text", text: parts.join("\n\n") }] };
+  }
+);
+
 // ── get_transcript ────────────────────────────────────────────────────────────
+
+// Transcript deltas this caller hasn't seen yet, bot echo included. Over HTTP,
+// agents sharing a bot each get every new line; the shared cursor still
+// advances so a restart resumes from the furthest point read.
+function readNewSpeech(bot, transcript, sessionId) {
+  // First read. State saved before cursors existed only carries a timestamp.
+  if (!bot.transcriptCursor) {
+    bot.transcriptCursor = seedCursor(transcript, bot.lastTranscriptTs);
+  }
+
+  let deltas;
+  if (sessionId) {
+    // No cursor yet: the bot was created after this session connected
+    if (!bot.sessionCursors.has(sessionId)) bot.sessionCursors.set(sessionId, {});
+    deltas = advanceCursor(transcript, bot.sessionCursors.get(sessionId));
+    advanceCursor(transcript, bot.transcriptCursor);
+  } else {
+    deltas = advanceCursor(transcript, bot.transcriptCursor);
+  }
+  if (deltas.length > 0) {
+    bot.lastTranscriptTs = Math.max(bot.lastTranscriptTs ?? 0, ...deltas.map((d) => entryEnd(d.entry) ?? 0));
+    persistBots();
+  }
+  return deltas;
+}
+
+// Readable transcript line; lines that extend an earlier one are marked
+function formatDelta({ entry, words, continued }) {
+  const speaker = entry.speaker || "Unknown";
+  return `${speaker}${continued ? " (cont.)" : ""}: ${words.map((w) => w.text).join(" ")}`;
+}
+
 server.tool(
   "get_transcript",
   "Get new transcript lines from the meeting since last check. Call periodically to listen.",
   {
     bot_id: z.string().describe("The bot ID returned from join_meeting"),
   },
-  async ({ bot_id }) => {
+  async ({ bot_id }, { sessionId }) => {
     const bot = activeBots.get(bot_id);
     if (!bot) {
-      return { content: [{ type: "text", text: `Unknown bot ID: ${bot_id}. Call join_meeting first.` }] };
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
     }
 
-    let transcript;
+    const { transcript, error } = await fetchTranscript(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
 
-    if (isHostedMode) {
-      const { ok, status, data } = await groupthinApi("GET", `/bots/${bot_id}/transcript`);
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to get transcript", status, data) }] };
-      }
-      transcript = Array.isArray(data) ? data : data.transcript || [];
+    // Outcomes of replies queued by speak(on_timeout="queue")
+    const notices = bot.turnNotices.splice(0);
+    const reply = (text) => ({ content: [{ type: "text", text: [...notices, text].join("\n\n") }] });
+
+    const deltas = readNewSpeech(bot, transcript, sessionId);
+
+    if (deltas.length === 0) {
+      return reply("(No new speech since last check)");
+    }
+
+    // Filter out the bot's own speech
+    const human = deltas.filter((d) => !isBotEntry(bot, d.entry));
+
+    if (human.length === 0) {
+      return reply("(Only heard own echo — no new human speech)");
+    }
+
+    return reply(human.map(formatDelta).join("\n"));
+  }
+);
+
+// ── wait_for_speech ───────────────────────────────────────────────────────────
+// Most clients time a request out after 60s unless progress notifications
+// reset the clock, so the default stays under that.
+const WAIT_DEFAULT_SECONDS = 50;
+const WAIT_MAX_SECONDS = 600;
+const WAIT_POLL_MS = 2000;
+const WAIT_MAX_LINES = 40;
+
+// Resolves on the next "speech" event for this bot, after `ms`, or on abort
+function nextSpeech(botId, ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      transcriptEvents.off("speech", onSpeech);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const onSpeech = (id) => id === botId && done();
+    const timer = setTimeout(done, ms);
+    transcriptEvents.on("speech", onSpeech);
+    signal?.addEventListener("abort", done);
+  });
+}
+
+// Lines heard while waiting, matches marked ▶ with their reasons, plus
+// `contextLines` transcript entries either side of each match
+function formatHeard(transcript, heard, contextLines) {
+  const indexByKey = new Map(transcript.map((entry, i) => [entryKey(entry), i]));
+  const heardByIndex = new Map();
+  for (const h of heard.values()) {
+    const index = indexByKey.get(h.key);
+    if (index !== undefined) heardByIndex.set(index, h);
+  }
+
+  // Without any trigger match (no triggers given), every line heard gets context
+  const matched = [...heardByIndex].filter(([, h]) => h.reasons.size > 0).map(([i]) => i);
+  const anchors = matched.length > 0 ? matched : [...heardByIndex.keys()];
+  const shown = new Set(anchors.flatMap((i) =>
+    Array.from({ length: contextLines * 2 + 1 }, (_, k) => i - contextLines + k)
+  ).filter((i) => i >= 0 && i < transcript.length));
+
+  // Everything heard is shown (the cursor has moved past it), newest first if over the cap
+  const unmatched = [...heardByIndex.keys()].filter((i) => !shown.has(i)).sort((a, b) => b - a);
+  const room = Math.max(0, WAIT_MAX_LINES - shown.size);
+  const omitted = Math.max(0, unmatched.length - room);
+  for (const i of unmatched.slice(0, room)) shown.add(i);
+
+  const lines = [];
+  let previous = null;
+  for (const i of [...shown].sort((a, b) => a - b)) {
+    if (previous !== null && i > previous + 1) lines.push("  …");
+    previous = i;
+    const h = heardByIndex.get(i);
+    if (!h) {
+      lines.push(`  ${transcript[i].speaker || "Unknown"}: ${entryText(transcript[i])}`);
+    } else if (h.reasons.size > 0) {
+      lines.push(`▶ ${formatDelta(h)}  [${[...h.reasons].join(", ")}]`);
     } else {
-      const { ok, status, data } = await recallApi("GET", `/bot/${bot_id}/transcript/`);
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to get transcript", status, data) }] };
-      }
-      transcript = Array.isArray(data) ? data : [];
+      lines.push(`  ${formatDelta(h)}`);
     }
+  }
+  if (omitted > 0) lines.unshift(`(${omitted} earlier line${omitted === 1 ? "" : "s"} not shown — catch_up has the full transcript)`);
+  return lines.join("\n");
+}
 
-    // Filter to new entries since last check
-    const lastTs = bot.lastTranscriptTs;
-    let newEntries = transcript;
+server.tool(
+  "wait_for_speech",
+  "Block until someone in the meeting speaks, or until a trigger matches (the bot's name, a question aimed at it, keywords, regexes), then return what was heard with context. " +
+  "Replaces polling get_transcript in a loop; shares its cursor.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    timeout_seconds: z.number().int().min(1).max(WAIT_MAX_SECONDS).optional()
+      .describe(`How long to wait (default ${WAIT_DEFAULT_SECONDS}). Longer waits need a client that extends its request timeout on progress notifications.`),
+    triggers: z.object({
+      mention: z.boolean().optional().describe("Wake when the bot's name is said"),
+      question: z.boolean().optional().describe("Wake on a question that names the bot or follows right after it spoke"),
+      keywords: z.array(z.string()).optional().describe("Words or phrases to wake on (case-insensitive)"),
+      patterns: z.array(z.string()).optional().describe("Regular expressions to wake on (case-insensitive)"),
+    }).optional().describe("Only return once one of these matches. Omit to wake on any human speech."),
+    context_lines: z.number().int().min(0).max(10).optional()
+      .describe("Transcript lines to show around each match (default 2)"),
+  },
+  async ({ bot_id, timeout_seconds = WAIT_DEFAULT_SECONDS, triggers, context_lines = 2 }, { sessionId, signal, _meta, sendNotification }) => {
+    const bot = activeBots.get(bot_id);
+    if (!bot) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
 
-    if (lastTs !== null) {
-      newEntries = transcript.filter((entry) => {
-        const entryTime = entry.words?.[entry.words.length - 1]?.end_timestamp;
-        return entryTime && entryTime > lastTs;
-      });
+    let matcher = null;
+    if (triggers) {
+      matcher = compileTriggers(triggers, bot.name);
+      if (matcher.error) return { content: [{ type: "text", text: matcher.error }] };
     }
 
-    // Update cursor
-    if (transcript.length > 0) {
-      const last = transcript[transcript.length - 1];
-      const lastWord = last.words?.[last.words.length - 1];
-      if (lastWord) {
-        bot.lastTranscriptTs = lastWord.end_timestamp;
+    const started = Date.now();
+    const deadline = started + timeout_seconds * 1000;
+    // Human lines heard so far, by entry; an entry can grow across polls
+    const heard = new Map();
+    let transcript = [];
+
+    const reply = (text) => {
+      const notices = bot.turnNotices.splice(0);
+      return { content: [{ type: "text", text: [...notices, text].join("\n\n") }] };
+    };
+    const heardSoFar = () => heard.size > 0 ? `\n\nHeard while waiting:\n${formatHeard(transcript, heard, 0)}` : "";
+
+    while (true) {
+      const result = await fetchTranscript(bot_id);
+      if (result.error) return reply(result.error + heardSoFar());
+      transcript = result.transcript;
+
+      for (const delta of readNewSpeech(bot, transcript, sessionId)) {
+        if (isBotEntry(bot, delta.entry)) continue;
+        const key = entryKey(delta.entry);
+        const index = transcript.indexOf(delta.entry);
+        const afterBot = index > 0 && isBotEntry(bot, transcript[index - 1]);
+        // Triggers see the whole line, so one split across polls still matches;
+        // only what the new words complete counts
+        const earlier = delta.entry.words.slice(0, delta.entry.words.length - delta.words.length);
+        const reasons = matcher
+          ? matcher.match(entryText(delta.entry), { afterBot, before: entryText({ words: earlier }) })
+          : [];
+
+        const h = heard.get(key);
+        if (h) {
+          h.entry = delta.entry;
+          h.words.push(...delta.words);
+          reasons.forEach((r) => h.reasons.add(r));
+        } else {
+          heard.set(key, { key, entry: delta.entry, words: [...delta.words], continued: delta.continued, reasons: new Set(reasons) });
+        }
+      }
+
+      const woke = matcher ? [...heard.values()].some((h) => h.reasons.size > 0) : heard.size > 0;
+      if (woke) {
+        return reply(formatHeard(transcript, heard, context_lines));
+      }
+
+      const waited = Math.round((Date.now() - started) / 1000);
+      if (Date.now() >= deadline || signal?.aborted) {
+        return reply((matcher
+          ? `(No trigger matched in ${waited}s)`
+          : `(No new human speech in ${waited}s)`) + heardSoFar());
       }
+      if (!activeBots.has(bot_id)) {
+        return reply(`Bot ${bot_id} left the meeting while waiting.` + heardSoFar());
+      }
+
+      if (_meta?.progressToken !== undefined) {
+        await sendNotification({
+          method: "notifications/progress",
+          params: { progressToken: _meta.progressToken, progress: (Date.now() - started) / 1000, total: timeout_seconds, message: "Listening…" },
+        }).catch(() => {});
+      }
+      await nextSpeech(bot_id, Math.min(WAIT_POLL_MS, deadline - Date.now()), signal);
+    }
+  }
+);
+
+// ── catch_up ──────────────────────────────────────────────────────────────────
+const CATCH_UP_PAGE_SIZE = 60;
+
+server.tool(
+  "catch_up",
+  "Get the full meeting transcript so far with timestamps (for late joiners or after a restart). Paged; does not affect get_transcript's cursor.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    since: z.string().optional().describe("Only include speech from this point on (e.g. \"12:30\", \"1:05:00\" or seconds)"),
+    until: z.string().optional().describe("Only include speech up to this point (same format as since)"),
+    speaker: z.string().optional().describe("Only include lines from speakers whose name contains this text"),
+    page: z.number().int().min(1).default(1).describe(`Page number (${CATCH_UP_PAGE_SIZE} lines per page)`),
+  },
+  async ({ bot_id, since, until, speaker, page }) => {
+    const sinceTs = parseTimestamp(since);
+    const untilTs = parseTimestamp(until);
+    if ((since && sinceTs === null) || (until && untilTs === null)) {
+      return { content: [{ type: "text", text: `Invalid time range — use "mm:ss", "h:mm:ss" or seconds.` }] };
     }
 
-    if (newEntries.length === 0) {
-      return { content: [{ type: "text", text: "(No new speech since last check)" }] };
+    const { transcript, error } = await fetchTranscript(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
     }
 
-    // Format readable transcript
-    const lines = newEntries.map((entry) => {
-      const speaker = entry.speaker || "Unknown";
-      const text = entry.words?.map((w) => w.text).join(" ") || "";
-      return `${speaker}: ${text}`;
+    const needle = speaker?.toLowerCase();
+    const entries = transcript.filter((entry) => {
+      const start = entryStart(entry);
+      const end = entryEnd(entry);
+      if (sinceTs !== null && (end === null || end < sinceTs)) return false;
+      if (untilTs !== null && (start === null || start > untilTs)) return false;
+      if (needle && !(entry.speaker || "").toLowerCase().includes(needle)) return false;
+      return true;
     });
 
-    // Filter out the bot's own speech
-    const filtered = lines.filter((line) => !line.startsWith(bot.name + ":"));
+    if (entries.length === 0) {
+      return { content: [{ type: "text", text: "(No transcript matches that range yet)" }] };
+    }
 
-    if (filtered.length === 0) {
-      return { content: [{ type: "text", text: "(Only heard own echo — no new human speech)" }] };
+    const totalPages = Math.ceil(entries.length / CATCH_UP_PAGE_SIZE);
+    if (page > totalPages) {
+      return { content: [{ type: "text", text: `Page ${page} is past the end — there are ${totalPages} page(s).` }] };
     }
 
-    return {
-      content: [{ type: "text", text: filtered.join("\n") }],
-    };
+    const offset = (page - 1) * CATCH_UP_PAGE_SIZE;
+    const lines = entries.slice(offset, offset + CATCH_UP_PAGE_SIZE).map((entry) =>
+      `[${formatTimestamp(entryStart(entry))}] ${entry.speaker || "Unknown"}: ${entryText(entry)}`
+    );
+
+    const header = `Transcript ${formatTimestamp(entryStart(entries[0]))}–${formatTimestamp(entryEnd(entries[entries.length - 1]))} · ` +
+      `page ${page}/${totalPages} (lines ${offset + 1}-${offset + lines.length} of ${entries.length})`;
+    const footer = page < totalPages ? `\n\nCall catch_up again with page=${page + 1} for more.` : "";
+
+    return { content: [{ type: "text", text: `${header}\n\n${lines.join("\n")}${footer}` }] };
   }
 );
 
-// ── speak ─────────────────────────────────────────────────────────────────────
-server.tool(
-  "speak",
-  "Say something in the meeting via text-to-speech. Keep it concise — you're speaking out loud.",
-  {
-    bot_id: z.string().describe("The bot ID returned from join_meeting"),
-    text: z.string().describe("What to say (1-3 sentences max — you're speaking, not writing)"),
-    voice: z.enum(["alloy", "echo", "fable", "onyx", "nova", "shimmer"]).default("nova").describe("TTS voice"),
-  },
-  async ({ bot_id, text, voice }) => {
-    if (isHostedMode) {
-      const { ok, status, data } = await groupthinApi("POST", `/bots/${bot_id}/speak`, { text, voice });
-      if (!ok) {
-        // Retry once after 2s
-        await sleep(2000);
-        const retry = await groupthinApi("POST", `/bots/${bot_id}/speak`, { text, voice });
-        if (!retry.ok) {
-          return { content: [{ type: "text", text: formatApiError("Failed to speak (after retry)", retry.status, retry.data) }] };
-        }
-        const est = retry.data.estimated_duration || (text.length * 0.065).toFixed(1);
+// ── Speech delivery & turn-taking ────────────────────────────────────────────
+
+const SILENCE_POLL_MS = 1000;
+const QUEUED_TURN_MAX_MS = 2 * 60_000;
+const BARGE_IN_MIN_WORDS = 2;
+
+let ttsProvider = null;
+if (isSimulatorMode) {
+  ttsProvider = simulator.tts;
+} else if (isDirectMode) {
+  try {
+    ttsProvider = createTtsProvider(TTS_PROVIDER, {
+      openai: { apiKey: OPENAI_KEY, model: TTS_MODEL, speed: TTS_SPEED, timeoutMs: TTS_TIMEOUT },
+      piper: {
+        binary: process.env.PIPER_PATH,
+        voicesDir: process.env.PIPER_VOICES_DIR,
+        defaultVoice: process.env.PIPER_VOICE,
+        speed: TTS_SPEED,
+        ffmpeg: process.env.FFMPEG_PATH,
+        timeoutMs: TTS_TIMEOUT,
+      },
+      espeak: {
+        binary: process.env.ESPEAK_PATH,
+        defaultVoice: process.env.ESPEAK_VOICE,
+        speed: TTS_SPEED,
+        ffmpeg: process.env.FFMPEG_PATH,
+        timeoutMs: TTS_TIMEOUT,
+      },
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+// Hosted mode synthesizes on Groupthink's side with OpenAI voices
+const defaultVoice = ttsProvider ? ttsProvider.defaultVoice : "nova";
+const startupVoices = ttsProvider ? await ttsProvider.listVoices().catch(() => []) : OPENAI_VOICES;
+
+async function availableVoices() {
+  return ttsProvider ? ttsProvider.listVoices() : OPENAI_VOICES;
+}
+
+function estimateDuration(text) {
+  return text.length * 0.065;
+}
+
+const SPOKEN_TEXT_MEMORY = 50;
+
+// Is this transcript entry the bot hearing itself? Once an entry matches what
+// the bot actually said, its speaker ID is remembered and used from then on —
+// display names are unreliable (duplicates, platform suffixes).
+function isBotEntry(bot, entry) {
+  if (!bot) return false;
+  const speakerId = entry.speaker_id ?? null;
+  if (bot.selfSpeakerId !== null && speakerId !== null) return speakerId === bot.selfSpeakerId;
+  if (!matchesSpokenText(entry, bot.spokenTexts)) return false;
+  if (speakerId !== null) {
+    bot.selfSpeakerId = speakerId;
+    persistBots();
+  }
+  return true;
+}
+
+// Run `fn`, retrying once after 2s. Returns { value, retried }. For TTS engines;
+// API calls retry in lib/http-client.js.
+async function withRetry(fn) {
+  try {
+    return { value: await fn(), retried: false };
+  } catch {
+    await sleep(2000);
+    return { value: await fn(), retried: true };
+  }
+}
+
+// One speech queue per bot, so concurrent speak calls never talk over each other
+const speechQueues = new Map();
+
+// The bot's queue, or null if it hasn't spoken yet
+function getSpeechQueue(botId) {
+  return speechQueues.get(botId) ?? null;
+}
+
+// Only for bots in activeBots: forgetBot is what removes the queue again
+function openSpeechQueue(botId) {
+  if (!speechQueues.has(botId)) {
+    speechQueues.set(botId, createSpeechQueue({ play: (item) => playClip(botId, item) }));
+  }
+  return speechQueues.get(botId);
+}
+
+// Push one queued clip into the meeting. Hosted mode synthesizes server-side,
+// so the true duration is only known once Groupthink answers. Clips from
+// play_audio carry their MP3 (and `file`) in every mode.
+async function playClip(botId, item) {
+  let duration;
+  if (isHostedMode && item.payload.file) {
+    const { ok, status, data, attempts } = await groupthinApi("POST", `/bots/${botId}/output_audio`, {
+      kind: item.payload.kind,
+      b64_data: item.payload.audio.toString("base64"),
+    });
+    if (!ok) throw new Error(humanRecallError(status, data));
+    item.retried = attempts > 1;
+  } else if (isHostedMode) {
+    const { ok, status, data, attempts } = await groupthinApi("POST", `/bots/${botId}/speak`, { text: item.text, ...item.payload });
+    if (!ok) throw new Error(humanRecallError(status, data));
+    const reported = parseFloat(data.duration_seconds ?? data.estimated_duration);
+    if (Number.isFinite(reported)) duration = reported;
+    item.retried = attempts > 1;
+  } else {
+    const { audio, kind } = item.payload;
+    const pushRes = await recallApi("POST", `/bot/${botId}/output_audio/`, {
+      kind,
+      b64_data: audio.toString("base64"),
+    });
+    if (!pushRes.ok) {
+      throw new Error(`Failed to push audio: ${humanRecallError(pushRes.status, pushRes.data)}`);
+    }
+    item.retried = pushRes.attempts > 1;
+  }
+
+  // Only what reached the meeting counts, so a failed push costs nothing against the budget
+  usage.record(botId, { audioSeconds: duration ?? item.duration, ttsCharacters: item.payload.file ? 0 : item.text.length });
+  const bot = activeBots.get(botId);
+  if (bot) {
+    bot.handRaisedAt = null;
+    if (item.payload.file) return duration;
+    bot.spokenTexts.push(item.text);
+    if (bot.spokenTexts.length > SPOKEN_TEXT_MEMORY) bot.spokenTexts.shift();
+  }
+
+  return duration;
+}
+
+// Bumped by stopSpeaking so chunks still being synthesized are never queued
+const speechGenerations = new Map();
+let nextUtteranceId = 1;
+
+function createUtterance(botId, text) {
+  return {
+    id: nextUtteranceId++,
+    botId,
+    text,
+    chunks: splitIntoChunks(text),
+    clips: [],
+    playedCount: 0,
+    synthesized: false,
+    cancelled: false,
+    error: null,
+  };
+}
+
+async function synthesizeClip(text, options) {
+  if (isHostedMode) {
+    return { text, duration: estimateDuration(text), payload: options };
+  }
+  const { value: { audio, kind } } = await withRetry(() => ttsProvider.synthesize(text, options));
+  return { text, duration: mp3Duration(audio) ?? estimateDuration(text), payload: { audio, kind } };
+}
+
+// Synthesize the utterance's sentence chunks in order and queue each one as
+// soon as it's ready, so playback starts after the first sentence. `options`
+// are { voice, speed, model }. Throws if the bot isn't active or the first
+// chunk can't be synthesized; a later failure ends the utterance early and is
+// kept in `utterance.error`.
+async function enqueueSpeech(botId, utterance, options) {
+  // Checked before anything is synthesized, so no TTS is spent on it
+  if (!activeBots.has(botId)) throw new Error(unknownBotMessage(botId));
+  const queue = openSpeechQueue(botId);
+  const generation = speechGenerations.get(botId) || 0;
+
+  try {
+    for (const [i, chunk] of utterance.chunks.entries()) {
+      let clip;
+      try {
+        clip = await synthesizeClip(chunk, options);
+      } catch (err) {
+        if (i === 0) throw err;
+        utterance.error = err;
+        break;
+      }
+      if ((speechGenerations.get(botId) || 0) !== generation) {
+        utterance.cancelled = true;
+        break;
+      }
+
+      const queued = queue.enqueue({ ...clip, utteranceId: utterance.id });
+      utterance.clips.push(queued);
+      queued.played.then((result) => {
+        if (result.ok) {
+          utterance.playedCount++;
+          return;
+        }
+        // speak reports on the first clip itself when it plays right away;
+        // everything else surfaces on the next get_transcript call
+        const awaited = i === 0 && queued.position === 0;
+        const bot = activeBots.get(botId);
+        if (bot && !awaited && !result.cleared) {
+          bot.turnNotices.push(`Failed to speak "${chunk}": ${result.error.message}`);
+        }
+      });
+    }
+  } finally {
+    utterance.synthesized = true;
+  }
+  return utterance;
+}
+
+// Cut the bot off: drop queued chunks, abandon ones still being synthesized,
+// forget any reply waiting for a pause, and stop the audio that is playing.
+async function stopSpeaking(botId) {
+  speechGenerations.set(botId, (speechGenerations.get(botId) || 0) + 1);
+  const bot = activeBots.get(botId);
+  if (bot) bot.queuedSpeech = null;
+
+  const { dropped, wasPlaying } = getSpeechQueue(botId)?.stop() ?? { dropped: 0, wasPlaying: false };
+  if (wasPlaying) {
+    try {
+      if (isHostedMode) {
+        await groupthinApi("POST", `/bots/${botId}/stop_speaking`);
+      } else {
+        await recallApi("DELETE", `/bot/${botId}/output_audio/`);
+      }
+    } catch {
+      // Best-effort — the clip may have just finished on its own
+    }
+  }
+  return { dropped, wasPlaying };
+}
+
+function formatSeconds(seconds) {
+  return `${seconds.toFixed(1)}s`;
+}
+
+function describeUtterance(utterance) {
+  const seconds = utterance.clips.reduce((sum, c) => sum + c.item.duration, 0);
+  const chunks = utterance.clips.length > 1 ? `, ${utterance.clips.length} chunks` : "";
+  let text = `"${utterance.text}" (${formatSeconds(seconds)} of audio${chunks})`;
+  if (utterance.error) {
+    text += `\n⚠️ Only ${utterance.clips.length} of ${utterance.chunks.length} chunk(s) could be synthesized: ${utterance.error.message}`;
+  } else if (utterance.cancelled) {
+    text += `\n✋ Stopped after ${utterance.clips.length} of ${utterance.chunks.length} chunk(s).`;
+  }
+  return text;
+}
+
+function spokeMessage(utterance) {
+  const retried = utterance.clips.some((c) => c.item.retried);
+  return `🔊 Speaking${retried ? " (on retry)" : ""}: ${describeUtterance(utterance)}\n` +
+    `Later speak calls queue behind it automatically — no need to wait. Use stop_speaking to cut it off.`;
+}
+
+function queuedMessage(utterance) {
+  const { position, startsInMs } = utterance.clips[0];
+  return `🕒 Queued behind ${position} clip(s), starts in ~${Math.ceil(startsInMs / 1000)}s: ${describeUtterance(utterance)}\n` +
+    `Use get_speech_queue to check, clear_speech_queue to drop pending speech, or stop_speaking to cut everything off.`;
+}
+
+// Words spoken by anyone but the bot so far, or null if the transcript
+// couldn't be read (API error or no connection)
+async function countHumanWords(botId) {
+  const bot = activeBots.get(botId);
+  let result;
+  try {
+    result = await fetchTranscript(botId);
+  } catch {
+    return null;
+  }
+  const { transcript, error } = result;
+  if (error) return null;
+  return transcript
+    .filter((entry) => !isBotEntry(bot, entry))
+    .reduce((sum, entry) => sum + (entry.words?.length || 0), 0);
+}
+
+// Resolves true once no new human words have shown up in the transcript for
+// `silenceMs`, or false if that doesn't happen within `timeoutMs`. The first
+// poll starts the clock, so the shortest possible wait is `silenceMs`.
+async function waitForSilence(botId, silenceMs, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let lastCount = null;
+  let lastChange = Date.now();
+
+  while (Date.now() < deadline) {
+    const count = await countHumanWords(botId);
+    if (count !== null) {
+      if (count !== lastCount) {
+        lastCount = count;
+        lastChange = Date.now();
+      } else if (Date.now() - lastChange >= silenceMs) {
+        return true;
+      }
+    }
+    await sleep(SILENCE_POLL_MS);
+  }
+  return false;
+}
+
+// Barge-in: stop speaking as soon as people talk over the bot. Watches until
+// the utterance is fully synthesized and the bot's speech queue has gone quiet.
+function watchForBargeIn(botId, utterance) {
+  const generation = speechGenerations.get(botId) || 0;
+
+  (async () => {
+    let baseline = await countHumanWords(botId);
+    while (true) {
+      await sleep(SILENCE_POLL_MS);
+      const queue = getSpeechQueue(botId);
+      if (!queue || (speechGenerations.get(botId) || 0) !== generation) return;
+      if (utterance.synthesized && queue.isIdle()) return;
+
+      const count = await countHumanWords(botId);
+      if (count === null) continue;
+      if (baseline === null) baseline = count;
+      if (count - baseline < BARGE_IN_MIN_WORDS) continue;
+
+      await stopSpeaking(botId);
+      activeBots.get(botId)?.turnNotices.push(
+        `✋ Barge-in: someone started talking, so the bot stopped during chunk ${Math.max(utterance.playedCount, 1)} ` +
+          `of ${utterance.chunks.length} of "${utterance.text}". Listen before speaking again.`
+      );
+      return;
+    }
+  })().catch((err) => console.error(`Barge-in watch for bot ${botId} stopped: ${err.message}`));
+}
+
+// Keep waiting for a gap in the background and speak then. The outcome is
+// reported on the next get_transcript call. A newer queued utterance replaces
+// this one.
+function queueForNextGap(botId, bot, text, options, silenceMs, bargeIn) {
+  const turn = { text, queuedAt: Date.now() };
+  bot.queuedSpeech = turn;
+
+  (async () => {
+    const gap = await waitForSilence(botId, silenceMs, QUEUED_TURN_MAX_MS);
+    if (bot.queuedSpeech !== turn) return;
+    bot.queuedSpeech = null;
+
+    // Nobody is left to tell through turnNotices
+    if (!activeBots.has(botId)) {
+      console.error(`Dropped queued reply for bot ${botId}: it left its meeting before a pause came`);
+      return;
+    }
+    if (!gap) {
+      bot.turnNotices.push(`⌛ Gave up on queued reply "${text}" — no pause in the conversation within ${QUEUED_TURN_MAX_MS / 1000}s.`);
+      return;
+    }
+    // The budget may have been spent while the reply waited
+    const overBudget = ttsBudgetMessage(text);
+    if (overBudget) {
+      bot.turnNotices.push(`Queued reply "${text}": ${overBudget}`);
+      return;
+    }
+    try {
+      const utterance = createUtterance(botId, text);
+      if (bargeIn) watchForBargeIn(botId, utterance);
+      await enqueueSpeech(botId, utterance, options);
+      const result = await utterance.clips[0]?.played;
+      if (result?.ok) {
+        bot.turnNotices.push(`Queued reply delivered. ${spokeMessage(utterance)}`);
+      } else if (result && !result.cleared && utterance.clips[0].position === 0) {
+        bot.turnNotices.push(`Failed to speak queued reply "${text}": ${result.error.message}`);
+      }
+    } catch (err) {
+      bot.turnNotices.push(`Failed to speak queued reply "${text}": ${err.message}`);
+    }
+  })();
+}
+
+// ── speak ─────────────────────────────────────────────────────────────────────
+server.tool(
+  "speak",
+  "Say something in the meeting via text-to-speech. Keep it concise — you're speaking out loud. " +
+    "Calls are queued per bot so they never overlap. Set wait_for_silence to hold the line until nobody is talking, " +
+    "and barge_in to stop automatically when someone talks over the bot.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    text: z.string().describe("What to say (1-3 sentences max — you're speaking, not writing)"),
+    voice: z.string().optional()
+      .describe(`TTS voice (default ${defaultVoice}${startupVoices.length ? `; available: ${startupVoices.slice(0, 20).join(", ")}` : ""}). See list_voices`),
+    speed: z.number().min(0.25).max(4).optional().describe("Speaking rate, 1.0 = normal"),
+    model: z.string().optional().describe("TTS model, if the provider supports choosing one (e.g. tts-1-hd)"),
+    wait_for_silence: z.boolean().default(false).describe("Wait for a pause in the conversation before speaking"),
+    silence_seconds: z.number().min(0.5).max(30).default(2).describe("How long nobody must speak to count as a pause"),
+    max_wait_seconds: z.number().min(1).max(120).default(20).describe("How long to wait for a pause before giving up"),
+    on_timeout: z.enum(["give_up", "queue"]).default("give_up")
+      .describe("If no pause comes in time: give up, or keep the reply queued and speak at the next pause"),
+    barge_in: z.boolean().default(false).describe("Stop speaking automatically if someone starts talking over the bot"),
+  },
+  async ({ bot_id, text, voice, speed, model, wait_for_silence, silence_seconds, max_wait_seconds, on_timeout, barge_in }) => {
+    const bot = activeBots.get(bot_id);
+    if (!bot) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const overBudget = ttsBudgetMessage(text);
+    if (overBudget) {
+      return { content: [{ type: "text", text: overBudget }] };
+    }
+    const chosenVoice = voice || defaultVoice;
+    let voices;
+    try {
+      voices = await availableVoices();
+    } catch (err) {
+      return { content: [{ type: "text", text: `Failed to list voices: ${err.message}` }] };
+    }
+    if (!voices.includes(chosenVoice)) {
+      return { content: [{ type: "text", text: `Unknown voice "${chosenVoice}". Available: ${voices.join(", ") || "(none)"}` }] };
+    }
+    const models = ttsProvider ? ttsProvider.models : [];
+    if (model && ttsProvider && !models.includes(model)) {
+      return {
+        content: [{
+          type: "text",
+          text: models.length
+            ? `Unknown model "${model}". Available: ${models.join(", ")}`
+            : `The ${ttsProvider.name} TTS provider doesn't support choosing a model.`,
+        }],
+      };
+    }
+
+    const options = { voice: chosenVoice };
+    if (speed !== undefined) options.speed = speed;
+    if (model) options.model = model;
+
+    if (wait_for_silence) {
+      // A fresh reply supersedes anything still queued from before
+      bot.queuedSpeech = null;
+
+      const gap = await waitForSilence(bot_id, silence_seconds * 1000, max_wait_seconds * 1000);
+      if (!gap) {
+        if (on_timeout === "queue") {
+          queueForNextGap(bot_id, bot, text, options, silence_seconds * 1000, barge_in);
+          return {
+            content: [{
+              type: "text",
+              text: `⏳ Still queued: people kept talking for ${max_wait_seconds}s. "${text}" will be spoken at the next pause ` +
+                `(up to ${QUEUED_TURN_MAX_MS / 1000}s more). get_transcript will report when it's delivered.`,
+            }],
+          };
+        }
+        return {
+          content: [{
+            type: "text",
+            text: `⌛ Gave up: no ${silence_seconds}s pause within ${max_wait_seconds}s, so nothing was said. ` +
+              `Check get_transcript — the conversation may have moved on.`,
+          }],
+        };
+      }
+      if (!activeBots.has(bot_id)) {
+        return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+      }
+      const overBudgetNow = ttsBudgetMessage(text);
+      if (overBudgetNow) {
+        return { content: [{ type: "text", text: overBudgetNow }] };
+      }
+    }
+
+    const utterance = createUtterance(bot_id, text);
+    if (barge_in) watchForBargeIn(bot_id, utterance);
+
+    try {
+      await enqueueSpeech(bot_id, utterance, options);
+    } catch (err) {
+      return { content: [{ type: "text", text: `Failed to speak (after retry): ${err.message}` }] };
+    }
+
+    const [first] = utterance.clips;
+    if (!first) {
+      return { content: [{ type: "text", text: "✋ Stopped before anything was said." }] };
+    }
+    if (first.position > 0) {
+      return { content: [{ type: "text", text: queuedMessage(utterance) }] };
+    }
+
+    const result = await first.played;
+    if (!result.ok) {
+      const reason = result.cleared ? "speech was stopped before it played" : result.error.message;
+      return { content: [{ type: "text", text: `Failed to speak: ${reason}` }] };
+    }
+    return { content: [{ type: "text", text: spokeMessage(utterance) }] };
+  }
+);
+
+// ── get_speech_queue ──────────────────────────────────────────────────────────
+server.tool(
+  "get_speech_queue",
+  "Show what the bot is saying right now and what is queued to be said next",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+  },
+  async ({ bot_id }) => {
+    if (!activeBots.has(bot_id)) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const { playing, pending } = getSpeechQueue(bot_id)?.snapshot() ?? { playing: null, pending: [] };
+    if (!playing && pending.length === 0) {
+      return { content: [{ type: "text", text: "(Speech queue is empty — speak will play immediately)" }] };
+    }
+
+    const lines = [];
+    if (playing) {
+      lines.push(`▶️ Playing: "${playing.text}" (${formatSeconds(playing.duration)}, ${formatSeconds(playing.remainingMs / 1000)} left)`);
+    }
+    pending.forEach((p, i) => {
+      lines.push(`${i + 1}. "${p.text}" (${formatSeconds(p.duration)}, starts in ~${Math.ceil(p.startsInMs / 1000)}s)`);
+    });
+    return { content: [{ type: "text", text: lines.join("\n") }] };
+  }
+);
+
+// ── clear_speech_queue ────────────────────────────────────────────────────────
+server.tool(
+  "clear_speech_queue",
+  "Drop everything queued to be said. Audio that is already playing finishes.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+  },
+  async ({ bot_id }) => {
+    if (!activeBots.has(bot_id)) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const dropped = getSpeechQueue(bot_id)?.clear() ?? 0;
+    return { content: [{ type: "text", text: `🗑️ Cleared ${dropped} queued utterance(s).` }] };
+  }
+);
+
+// ── stop_speaking ─────────────────────────────────────────────────────────────
+server.tool(
+  "stop_speaking",
+  "Immediately stop the bot talking: cuts off the current sentence and drops everything still queued",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+  },
+  async ({ bot_id }) => {
+    if (!activeBots.has(bot_id)) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const { dropped, wasPlaying } = await stopSpeaking(bot_id);
+    if (!wasPlaying && dropped === 0) {
+      return { content: [{ type: "text", text: "(The bot wasn't speaking)" }] };
+    }
+    return {
+      content: [{
+        type: "text",
+        text: `🤐 Stopped speaking${wasPlaying ? " mid-sentence" : ""}; dropped ${dropped} queued chunk(s).`,
+      }],
+    };
+  }
+);
+
+// ── play_audio ────────────────────────────────────────────────────────────────
+server.tool(
+  "play_audio",
+  "Play a local MP3 or WAV file in the meeting through the bot's speaker. Queued with speak, so it never talks over the bot; " +
+    "stop_speaking cuts it off.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    path: z.string().describe("MP3 or WAV file, relative to the working directory (WAV needs ffmpeg)"),
+  },
+  async ({ bot_id, path }) => {
+    if (!activeBots.has(bot_id)) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const { mp3, name, duration, error } = await loadAudio(path, { ffmpeg: process.env.FFMPEG_PATH });
+    if (error) {
+      return { content: [{ type: "text", text: `Can't play audio: ${error}` }] };
+    }
+
+    const file = name ?? "audio";
+    const clip = openSpeechQueue(bot_id).enqueue({
+      text: `♪ ${file}`,
+      duration: duration ?? 0,
+      payload: { audio: mp3, kind: "mp3", file },
+    });
+    const length = duration === null ? "" : ` (${formatSeconds(duration)})`;
+    if (clip.position > 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `🕒 Queued ${file}${length} behind ${clip.position} clip(s), starts in ~${Math.ceil(clip.startsInMs / 1000)}s.`,
+        }],
+      };
+    }
+
+    const result = await clip.played;
+    if (!result.ok) {
+      const reason = result.cleared ? "it was stopped before it played" : result.error.message;
+      return { content: [{ type: "text", text: `Failed to play ${file}: ${reason}` }] };
+    }
+    return {
+      content: [{
+        type: "text",
+        text: `🔊 Playing ${file}${length}. Later speak calls queue behind it; stop_speaking cuts it off.`,
+      }],
+    };
+  }
+);
+
+// ── show_image ────────────────────────────────────────────────────────────────
+server.tool(
+  "show_image",
+  "Show an image — a diagram, screenshot or chart — as the bot's video tile until clear_image or the next show_image",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    path_or_base64: z.string()
+      .describe("Image file relative to the working directory, or base64 / data: URL. JPEG is sent as is; PNG, GIF and WebP are converted with ffmpeg. 16:9 (1280×720) fills the tile"),
+  },
+  async ({ bot_id, path_or_base64 }) => {
+    if (!activeBots.has(bot_id)) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const { jpeg, name, error } = await loadImage(path_or_base64, { ffmpeg: process.env.FFMPEG_PATH });
+    if (error) {
+      return { content: [{ type: "text", text: `Can't show image: ${error}` }] };
+    }
+
+    const body = { kind: "jpeg", b64_data: jpeg.toString("base64") };
+    const { ok, status, data } = isHostedMode
+      ? await groupthinApi("POST", `/bots/${bot_id}/output_video`, body)
+      : await recallApi("POST", `/bot/${bot_id}/output_video/`, body);
+    if (!ok) {
+      return { content: [{ type: "text", text: formatApiError("Failed to show image", status, data) }] };
+    }
+    return {
+      content: [{
+        type: "text",
+        text: `🖼️ Showing ${name ?? "the image"} on the bot's video tile. Use clear_image(bot_id="${bot_id}") to take it down.`,
+      }],
+    };
+  }
+);
+
+// ── clear_image ───────────────────────────────────────────────────────────────
+server.tool(
+  "clear_image",
+  "Stop showing the image from show_image; the bot's tile goes back to its avatar (or blank if it has none)",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+  },
+  async ({ bot_id }) => {
+    if (!activeBots.has(bot_id)) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const { ok, status, data } = isHostedMode
+      ? await groupthinApi("DELETE", `/bots/${bot_id}/output_video`)
+      : await recallApi("DELETE", `/bot/${bot_id}/output_video/`);
+    if (!ok) {
+      return { content: [{ type: "text", text: formatApiError("Failed to clear image", status, data) }] };
+    }
+    return { content: [{ type: "text", text: "🖼️ Image cleared." }] };
+  }
+);
+
+// ── list_voices ───────────────────────────────────────────────────────────────
+server.tool(
+  "list_voices",
+  "List the voices (and models, if selectable) offered by the active text-to-speech provider",
+  {},
+  async () => {
+    let voices;
+    try {
+      voices = await availableVoices();
+    } catch (err) {
+      return { content: [{ type: "text", text: `Failed to list voices: ${err.message}` }] };
+    }
+
+    const lines = ttsProvider
+      ? [
+          `Provider: ${ttsProvider.name}${ttsProvider.offline ? " (offline)" : ""}`,
+          `Default voice: ${defaultVoice || "(none)"}`,
+          `Default speed: ${ttsProvider.defaultSpeed}`,
+          ttsProvider.models.length ? `Models: ${ttsProvider.models.join(", ")} (default ${ttsProvider.defaultModel})` : null,
+        ]
+      : ["Provider: Groupthink hosted (OpenAI voices)", `Default voice: ${defaultVoice}`];
+
+    lines.push(`Voices (${voices.length}): ${voices.join(", ") || "(none)"}`);
+    return { content: [{ type: "text", text: lines.filter(Boolean).join("\n") }] };
+  }
+);
+
+// ── raise_hand ────────────────────────────────────────────────────────────────
+server.tool(
+  "raise_hand",
+  "Signal that you want to speak (posts ✋ in meeting chat). Follow up with speak(wait_for_silence=true) to take the turn at the next pause.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    reason: z.string().optional().describe("Short note on what you want to raise, shown in chat"),
+  },
+  async ({ bot_id, reason }) => {
+    const bot = activeBots.get(bot_id);
+    if (!bot) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+
+    const message = `✋ ${bot.name} would like to speak${reason ? `: ${reason}` : ""}`;
+    const { ok, status, data } = await sendChatMessage(bot_id, message);
+    if (!ok) {
+      return { content: [{ type: "text", text: formatApiError("Failed to raise hand", status, data) }] };
+    }
+
+    bot.handRaisedAt = Date.now();
+    return {
+      content: [{
+        type: "text",
+        text: `✋ Hand raised in chat. Use speak(bot_id="${bot_id}", text="...", wait_for_silence=true) to speak at the next pause.`,
+      }],
+    };
+  }
+);
+
+// ── send_chat ─────────────────────────────────────────────────────────────────
+server.tool(
+  "send_chat",
+  "Send a text message in the meeting chat (visible to all participants)",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    message: z.string().describe("Message to post in meeting chat"),
+  },
+  async ({ bot_id, message }) => {
+    const { ok, status, data } = await sendChatMessage(bot_id, message);
+    if (!ok) {
+      return { content: [{ type: "text", text: formatApiError("Failed to send chat", status, data) }] };
+    }
+
+    return { content: [{ type: "text", text: `💬 Sent in meeting chat: "${message}"` }] };
+  }
+);
+
+// ── get_chat_messages ─────────────────────────────────────────────────────────
+
+// Chat messages this caller hasn't seen yet. Chat only grows, so a cursor is
+// just how many messages were delivered; sessions work like readNewSpeech.
+function readNewChat(bot, messages, sessionId) {
+  let fresh;
+  if (sessionId) {
+    if (!bot.sessionChatCursors.has(sessionId)) bot.sessionChatCursors.set(sessionId, 0);
+    fresh = messages.slice(bot.sessionChatCursors.get(sessionId));
+    bot.sessionChatCursors.set(sessionId, messages.length);
+  } else {
+    fresh = messages.slice(bot.chatCursor);
+  }
+  if (messages.length > bot.chatCursor) {
+    bot.chatCursor = messages.length;
+    persistBots();
+  }
+  return fresh;
+}
+
+// Like isBotEntry: once a message matches something the bot sent, its sender
+// ID identifies the bot from then on
+function isOwnChatMessage(bot, message) {
+  if (bot.selfChatSenderId !== null && message.senderId !== null) return message.senderId === bot.selfChatSenderId;
+  if (!bot.sentChats.includes(message.text.trim())) return false;
+  if (message.senderId !== null) bot.selfChatSenderId = message.senderId;
+  return true;
+}
+
+// Wall-clock ms that transcript timestamps count from: when recording started,
+// or when the bot was created until that's known
+async function meetingClockStart(bot) {
+  if (bot.recordingStartedAt) return bot.recordingStartedAt;
+  const status = await fetchBotStatus(bot.id);
+  if (!status.error && status.recordingStartedAt) {
+    bot.recordingStartedAt = Date.parse(status.recordingStartedAt);
+    return bot.recordingStartedAt;
+  }
+  return Date.parse(status.createdAt ?? bot.createdAt);
+}
+
+// Local wall-clock time, "14:03:27"
+function clockTime(iso) {
+  return iso ? new Date(iso).toLocaleTimeString("en-GB") : "--:--";
+}
+
+function chatLine(message, time) {
+  const to = message.to === "everyone" ? "" : " (private)";
+  return `[${time}] 💬 ${message.sender}${to}: ${message.text}`;
+}
+
+server.tool(
+  "get_chat_messages",
+  "Get new messages participants typed in the meeting chat since last check (the bot's own messages are left out). " +
+  "Optionally merged with new speech into one timeline.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    include_speech: z.boolean().optional()
+      .describe("Also return new speech, interleaved with chat by time. Moves get_transcript's cursor too."),
+  },
+  async ({ bot_id, include_speech = false }, { sessionId }) => {
+    const bot = activeBots.get(bot_id);
+    if (!bot) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+
+    const { messages, error } = await fetchChatMessages(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
+    const chat = readNewChat(bot, messages, sessionId).filter((m) => !isOwnChatMessage(bot, m));
+
+    if (!include_speech) {
+      if (chat.length === 0) {
+        return { content: [{ type: "text", text: "(No new chat messages since last check)" }] };
+      }
+      const lines = chat.map((m) => chatLine(m, clockTime(m.at)));
+      return { content: [{ type: "text", text: lines.join("\n") }] };
+    }
+
+    const result = await fetchTranscript(bot_id);
+    if (result.error) {
+      return { content: [{ type: "text", text: result.error }] };
+    }
+    const notices = bot.turnNotices.splice(0);
+    const speech = readNewSpeech(bot, result.transcript, sessionId).filter((d) => !isBotEntry(bot, d.entry));
+
+    // Chat carries wall-clock times; put it on the transcript's clock
+    const clockStart = await meetingClockStart(bot);
+    const timeline = [
+      ...speech.map((d) => ({ at: d.words[0].start_timestamp ?? 0, line: (ts) => `[${ts}] ${formatDelta(d)}` })),
+      ...chat.map((m) => ({
+        at: m.at ? (Date.parse(m.at) - clockStart) / 1000 : null,
+        line: (ts) => chatLine(m, ts),
+      })),
+    ].sort((a, b) => (a.at === null) - (b.at === null) || a.at - b.at);
+
+    const text = timeline.length === 0
+      ? "(No new speech or chat since last check)"
+      : timeline.map((t) => t.line(t.at === null ? "--:--" : formatTimestamp(t.at))).join("\n");
+    return { content: [{ type: "text", text: [...notices, text].join("\n\n") }] };
+  }
+);
+
+// ── leave_meeting ─────────────────────────────────────────────────────────────
+// Drop everything kept for a bot that is out of its meeting
+function forgetBot(botId) {
+  usage.markLeft(botId);
+  activeBots.delete(botId);
+  persistBots();
+  notifyBotListChanged();
+  transcriptReceiver?.forget(botId);
+  speechGenerations.set(botId, (speechGenerations.get(botId) || 0) + 1);
+  speechQueues.get(botId)?.stop();
+  speechQueues.delete(botId);
+}
+
+// Take a bot out of its meeting. `reason` is kept for usage_report and for
+// tools later called with its ID.
+async function leaveBot(botId, reason = null) {
+  await archiveBot(botId);
+  try {
+    if (isHostedMode) {
+      await groupthinApi("POST", `/bots/${botId}/leave`);
+    } else {
+      await recallApi("POST", `/bot/${botId}/leave_call/`);
+    }
+  } catch (err) {
+    // Best-effort — bot may already be gone
+  }
+  usage.markLeft(botId, { reason });
+  forgetBot(botId);
+}
+
+// Reply for a bot ID that isn't active, saying why if it was here and has left
+function unknownBotMessage(botId) {
+  const left = usage.bot(botId)?.leftAt ? usage.bot(botId) : null;
+  if (!left) return `Unknown bot ID: ${botId}. Call join_meeting first.`;
+  return `Bot ${botId} has left its meeting${left.endReason ? ` — ${left.endReason}` : ""}. Call join_meeting for a new bot.`;
+}
+
+server.tool(
+  "leave_meeting",
+  "Remove the bot from the meeting",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+  },
+  async ({ bot_id }) => {
+    await leaveBot(bot_id);
+    return { content: [{ type: "text", text: `👋 Bot left the meeting.` }] };
+  }
+);
+
+// ── bot_status ────────────────────────────────────────────────────────────────
+server.tool(
+  "bot_status",
+  "Check if the bot has been admitted to the meeting and is active",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+  },
+  async ({ bot_id }) => {
+    const { error, name, code, subCode, meetingUrl, platform, createdAt } = await fetchBotStatus(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
+    const { reason } = classifyStatus(code, subCode);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Bot "${name}" — Status: ${code}${reason ? ` (${reason})` : ""}\nMeeting: ${meetingUrl}${platform ? ` (${platform})` : ""}\nCreated: ${createdAt}`,
+        },
+      ],
+    };
+  }
+);
+
+// ── Bot lifecycle ─────────────────────────────────────────────────────────────
+// Bots whose call has ended — kicked, denied entry, meeting over, auto-left —
+// are archived and dropped from activeBots by the monitor on its next poll.
+
+const ADMIT_POLL_MS = 3000;
+const ADMIT_DEFAULT_SECONDS = 50;
+const ADMIT_MAX_SECONDS = 600;
+
+const lifecycle = createLifecycleMonitor({
+  fetchStatus: fetchBotStatus,
+  botIds: () => [...activeBots.keys()],
+  onChange: async (botId, state) => {
+    if (state.phase === "in_call" || state.phase === "recording") usage.markInCall(botId, state.since);
+    if (state.phase !== "ended" || !activeBots.has(botId)) return;
+    const name = activeBots.get(botId).name;
+    try {
+      if (state.code !== "not_found") await archiveBot(botId);
+    } finally {
+      usage.markLeft(botId, { at: state.since, reason: state.reason });
+      forgetBot(botId);
+    }
+    console.error(`Bot "${name}" (${botId}) is out of its meeting — ${state.reason}; removed`);
+  },
+});
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done);
+  });
+}
+
+// Seconds the bot spent in the waiting room, per its state history, or null
+function waitingRoomSeconds(state) {
+  const entered = state.history.find((h) => h.phase === "waiting_room");
+  const left = entered && state.history.find((h) => h.at > entered.at && h.phase !== "waiting_room");
+  return left ? Math.round((Date.parse(left.at) - Date.parse(entered.at)) / 1000) : null;
+}
+
+// ── wait_until_admitted ───────────────────────────────────────────────────────
+server.tool(
+  "wait_until_admitted",
+  "Block until the bot is in the call and recording, or report why it never got in (turned away from the waiting room, wrong link, meeting ended…). " +
+    "Call right after join_meeting instead of guessing how long admission takes.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    timeout_seconds: z.number().int().min(1).max(ADMIT_MAX_SECONDS).optional()
+      .describe(`How long to wait (default ${ADMIT_DEFAULT_SECONDS}). Longer waits need a client that extends its request timeout on progress notifications.`),
+  },
+  async ({ bot_id, timeout_seconds = ADMIT_DEFAULT_SECONDS }, { signal, _meta, sendNotification }) => {
+    const bot = activeBots.get(bot_id);
+    if (!bot && !lifecycle.state(bot_id)) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
+    }
+    const name = bot?.name ?? lifecycle.state(bot_id).name ?? bot_id;
+
+    const started = Date.now();
+    const deadline = started + timeout_seconds * 1000;
+    let state = null;
+
+    while (true) {
+      // A bot the monitor already removed has no status left worth fetching
+      state = activeBots.has(bot_id) ? await lifecycle.check(bot_id) : lifecycle.state(bot_id);
+
+      if (state?.phase === "recording") {
+        const waited = waitingRoomSeconds(state);
+        return {
+          content: [{
+            type: "text",
+            text: `✅ "${name}" is in the call and recording${waited !== null ? ` (admitted after ${waited}s in the waiting room)` : ""}. ` +
+              `Use get_transcript(bot_id="${bot_id}") to listen.`,
+          }],
+        };
+      }
+      if (state?.phase === "ended") {
+        const wasIn = state.history.some((h) => h.phase === "recording" || h.phase === "in_call");
+        return {
+          content: [{
+            type: "text",
+            text: wasIn
+              ? `👋 "${name}" was in the call but is out now: ${state.reason}.`
+              : `❌ "${name}" never got in: ${state.reason}. Check the link, or ask the host to admit it and call join_meeting again.`,
+          }],
+        };
+      }
+
+      const waited = Math.round((Date.now() - started) / 1000);
+      if (Date.now() >= deadline || signal?.aborted) {
+        const where = state ? PHASE_LABELS[state.phase] : "of unknown status";
+        const hint = state?.phase === "waiting_room"
+          ? "Someone in the meeting has to admit it. "
+          : state?.error ? `Last status check failed: ${state.error}. ` : "";
         return {
-          content: [{ type: "text", text: `🔊 Spoke (on retry): "${text}" (est. ${est}s). Wait ${Math.ceil(parseFloat(est) + 2)}s before speaking again.` }],
+          content: [{
+            type: "text",
+            text: `⏳ "${name}" is still ${where} after ${waited}s. ${hint}` +
+              `Call wait_until_admitted again to keep waiting, or leave_meeting to give up.`,
+          }],
         };
       }
-      const est = data.estimated_duration || (text.length * 0.065).toFixed(1);
-      return {
-        content: [{ type: "text", text: `🔊 Spoke: "${text}" (est. ${est}s). Wait ${Math.ceil(parseFloat(est) + 2)}s before speaking again.` }],
-      };
+
+      if (_meta?.progressToken !== undefined) {
+        await sendNotification({
+          method: "notifications/progress",
+          params: {
+            progressToken: _meta.progressToken,
+            progress: (Date.now() - started) / 1000,
+            total: timeout_seconds,
+            message: state ? `Bot is ${PHASE_LABELS[state.phase]}…` : "Checking status…",
+          },
+        }).catch(() => {});
+      }
+      await abortableSleep(Math.min(ADMIT_POLL_MS, deadline - Date.now()), signal);
     }
+  }
+);
 
-    // Direct mode: TTS + push audio (with retry)
-    async function ttsAndPush() {
-      const ttsRes = await fetch("https://api.openai.com/v1/audio/speech", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${OPENAI_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ model: "tts-1", input: text, voice, speed: 1.0 }),
-        signal: timeoutSignal(TTS_TIMEOUT),
-      });
+// ── Usage & budget caps ───────────────────────────────────────────────────────
 
-      if (!ttsRes.ok) {
-        const errText = await ttsRes.text().catch(() => "");
-        throw new Error(`TTS failed: ${ttsRes.status} ${errText}`);
-      }
+const USAGE_CHECK_MS = 30_000;
+// Agents get this much notice before a bot leaves at its minute cap
+const CAP_WARNING_SECONDS = 5 * 60;
 
-      const audioBuffer = await ttsRes.arrayBuffer();
-      const b64Audio = Buffer.from(audioBuffer).toString("base64");
+const capWarned = new Set();
 
-      const pushRes = await recallApi("POST", `/bot/${bot_id}/output_audio/`, {
-        kind: "mp3",
-        b64_data: b64Audio,
-      });
+// Refusal for speak when `text` would go over today's TTS budget, or null
+function ttsBudgetMessage(text) {
+  if (!USAGE_MAX_TTS_CHARS_PER_DAY) return null;
+  const used = usage.today().ttsCharacters;
+  if (used + text.length <= USAGE_MAX_TTS_CHARS_PER_DAY) return null;
+  return `🚫 Not spoken: today's text-to-speech budget is ${USAGE_MAX_TTS_CHARS_PER_DAY.toLocaleString("en-US")} characters ` +
+    `(USAGE_MAX_TTS_CHARS_PER_DAY), ${used.toLocaleString("en-US")} are used, and this reply is ${text.length.toLocaleString("en-US")}. ` +
+    `Use send_chat instead until the budget resets at midnight.`;
+}
 
-      if (!pushRes.ok) {
-        throw new Error(`Failed to push audio: ${humanRecallError(pushRes.status, pushRes.data)}`);
-      }
+// Bots at USAGE_MAX_BOT_MINUTES leave on their own; a notice on get_transcript
+// gives the agent some warning first
+async function enforceMinuteCap() {
+  const limit = USAGE_MAX_BOT_MINUTES * 60;
+  for (const [botId, bot] of activeBots) {
+    const record = usage.bot(botId);
+    if (!record) continue;
+    const seconds = callSeconds(record);
+    if (seconds >= limit) {
+      const reason = `it reached the limit of ${USAGE_MAX_BOT_MINUTES} minutes per bot set by USAGE_MAX_BOT_MINUTES`;
+      console.error(`Bot "${bot.name}" (${botId}) is leaving — ${reason}`);
+      await leaveBot(botId, reason);
+    } else if (seconds >= limit - CAP_WARNING_SECONDS && !capWarned.has(botId)) {
+      capWarned.add(botId);
+      bot.turnNotices.push(`⚠️ This bot leaves the meeting in about ${Math.ceil((limit - seconds) / 60)} minute(s): ` +
+        `it's capped at ${USAGE_MAX_BOT_MINUTES} minutes in a call (USAGE_MAX_BOT_MINUTES). Wrap up or save notes now.`);
     }
+  }
+}
 
-    try {
-      await ttsAndPush();
-    } catch (firstErr) {
-      // Retry once after 2s
-      await sleep(2000);
-      try {
-        await ttsAndPush();
-      } catch (retryErr) {
-        return { content: [{ type: "text", text: `Failed to speak (after retry): ${retryErr.message}` }] };
-      }
-      const estimatedDuration = (text.length * 0.065).toFixed(1);
-      return {
-        content: [{ type: "text", text: `🔊 Spoke (on retry): "${text}" (est. ${estimatedDuration}s). Wait at least ${Math.ceil(parseFloat(estimatedDuration) + 2)}s before speaking again.` }],
-      };
-    }
+if (USAGE_MAX_BOT_MINUTES) {
+  setInterval(() => enforceMinuteCap().catch((err) => console.error(`Usage cap check failed: ${err.message}`)), USAGE_CHECK_MS).unref();
+}
 
-    const estimatedDuration = (text.length * 0.065).toFixed(1);
-    return {
-      content: [
-        {
-          type: "text",
-          text: `🔊 Spoke: "${text}" (est. ${estimatedDuration}s). Wait at least ${Math.ceil(parseFloat(estimatedDuration) + 2)}s before speaking again to avoid overlap.`,
-        },
-      ],
-    };
-  }
-);
+function formatDollars(amount) {
+  return `$${amount.toFixed(amount < 1 ? 3 : 2)}`;
+}
+
+// 0.5 → "$0.50", 0.015 → "$0.015"
+function formatRate(amount) {
+  return `$${amount.toFixed(3).replace(/(\.\d\d\d*?)0+$/, "$1")}`;
+}
+
+function usageLine(totals) {
+  const cost = estimateCost(totals, USAGE_RATES);
+  return `${formatDuration(totals.callSeconds)} in calls · ${totals.ttsCharacters.toLocaleString("en-US")} TTS characters · ` +
+    `${formatDuration(totals.audioSeconds)} of audio · ${totals.chatMessages} chat message(s) · ${totals.apiCalls} API call(s) — ≈ ${formatDollars(cost.total)}`;
+}
+
+// ── usage_report ──────────────────────────────────────────────────────────────
+const USAGE_REPORT_MAX_BOTS = 20;
 
-// ── send_chat ─────────────────────────────────────────────────────────────────
 server.tool(
-  "send_chat",
-  "Send a text message in the meeting chat (visible to all participants)",
+  "usage_report",
+  "Show what this server has used — bot minutes in calls, TTS characters, audio, chat messages, API calls — with a cost estimate, " +
+    "for today, since the server started and per bot, plus how close each budget cap is",
   {
-    bot_id: z.string().describe("The bot ID returned from join_meeting"),
-    message: z.string().describe("Message to post in meeting chat"),
+    bot_id: z.string().optional().describe("Only report on this bot"),
   },
-  async ({ bot_id, message }) => {
-    if (isHostedMode) {
-      const { ok, status, data } = await groupthinApi("POST", `/bots/${bot_id}/chat`, { message });
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to send chat", status, data) }] };
+  async ({ bot_id }) => {
+    const lines = [];
+    const rates = `Rates: ${formatRate(USAGE_RATES.botHour)}/bot-hour, ${formatRate(USAGE_RATES.ttsPer1kChars)}/1K TTS characters` +
+      (USAGE_RATES.apiCall ? `, ${formatRate(USAGE_RATES.apiCall)}/API call` : "") +
+      ` (set USAGE_RATE_* to match your plan)`;
+
+    let bots = usage.bots();
+    if (bot_id) {
+      bots = bots.filter(([id]) => id === bot_id);
+      if (bots.length === 0) {
+        return { content: [{ type: "text", text: `No usage recorded for bot ${bot_id}.` }] };
       }
     } else {
-      const { ok, status, data } = await recallApi("POST", `/bot/${bot_id}/send_chat_message/`, { message });
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to send chat", status, data) }] };
+      lines.push(`Today: ${usageLine(usage.today())}`);
+      lines.push(`Since the server started (${clockTime(usage.startedAt)}): ${usageLine(usage.session())}`);
+
+      const caps = [];
+      if (USAGE_MAX_TTS_CHARS_PER_DAY) {
+        caps.push(`${usage.today().ttsCharacters.toLocaleString("en-US")} of ${USAGE_MAX_TTS_CHARS_PER_DAY.toLocaleString("en-US")} TTS characters used today`);
       }
+      if (USAGE_MAX_BOT_MINUTES) caps.push(`bots leave after ${USAGE_MAX_BOT_MINUTES} min in a call`);
+      lines.push(`Caps: ${caps.length ? caps.join("; ") : "none (set USAGE_MAX_BOT_MINUTES / USAGE_MAX_TTS_CHARS_PER_DAY)"}`);
+      lines.push("");
     }
 
-    return { content: [{ type: "text", text: `💬 Sent in meeting chat: "${message}"` }] };
+    const shown = bots.slice(0, USAGE_REPORT_MAX_BOTS);
+    if (shown.length > 0) lines.push("Bots:");
+    for (const [id, b] of shown) {
+      const where = !b.inCallSince && !b.leftAt ? "not in the call yet"
+        : b.leftAt ? `left${b.endReason ? ` (${b.endReason})` : ""}`
+        : "in the call now";
+      const totals = { ...b, callSeconds: callSeconds(b) };
+      lines.push(`- ${b.name ?? "?"} (${id}), ${where}: ${usageLine(totals)}`);
+    }
+    if (bots.length > shown.length) lines.push(`(${bots.length - shown.length} older bot(s) not shown)`);
+    if (!bot_id && bots.length === 0) lines.push("No bots have been metered yet.");
+
+    lines.push("", rates);
+    return { content: [{ type: "text", text: lines.join("\n") }] };
   }
 );
 
-// ── leave_meeting ─────────────────────────────────────────────────────────────
+// ── list_participants ─────────────────────────────────────────────────────────
+const ROSTER_MAX_EVENTS = 30;
+
 server.tool(
-  "leave_meeting",
-  "Remove the bot from the meeting",
+  "list_participants",
+  "List who is in the meeting now (with join times and who the host is), who has left, and a timeline of joins and leaves",
   {
     bot_id: z.string().describe("The bot ID returned from join_meeting"),
   },
   async ({ bot_id }) => {
-    try {
-      if (isHostedMode) {
-        await groupthinApi("POST", `/bots/${bot_id}/leave`);
-      } else {
-        await recallApi("POST", `/bot/${bot_id}/leave_call/`);
-      }
-    } catch (err) {
-      // Best-effort — bot may already be gone
+    const bot = activeBots.get(bot_id);
+    if (!bot) {
+      return { content: [{ type: "text", text: unknownBotMessage(bot_id) }] };
     }
 
-    activeBots.delete(bot_id);
-    return { content: [{ type: "text", text: `👋 Bot left the meeting.` }] };
+    const { participants, error } = await fetchParticipants(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
+
+    const { present, left, host, events } = buildRoster(participants, { exclude: (p) => isBotParticipant(bot, p) });
+    if (present.length === 0 && left.length === 0) {
+      return { content: [{ type: "text", text: "No participants reported yet — the bot may still be waiting to be admitted (see bot_status)." }] };
+    }
+
+    const sections = [];
+    const hostNote = host ? ` — host: ${host}${present.some((p) => p.name === host) ? "" : " (has left)"}` : "";
+    sections.push([
+      `${present.length} in the meeting${hostNote}`,
+      ...present.map((p) => `- ${p.name}${p.isHost ? " (host)" : ""} — joined ${clockTime(p.joinedAt)}${p.rejoined ? " (rejoined)" : ""}`),
+    ].join("\n"));
+
+    if (left.length > 0) {
+      sections.push(["Left:", ...left.map((p) => `- ${p.name}${p.isHost ? " (host)" : ""} — ${clockTime(p.joinedAt)}–${clockTime(p.leftAt)}`)].join("\n"));
+    }
+
+    if (events.length > 0) {
+      const shown = events.slice(-ROSTER_MAX_EVENTS);
+      const earlier = events.length - shown.length;
+      sections.push([
+        `Timeline${earlier > 0 ? ` (last ${shown.length}; ${earlier} earlier not shown)` : ""}:`,
+        ...shown.map((e) => `${clockTime(e.at)} ${e.name} ${e.code === "join" ? "joined" : "left"}`),
+      ].join("\n"));
+    }
+
+    return { content: [{ type: "text", text: sections.join("\n\n") }] };
   }
 );
 
-// ── bot_status ────────────────────────────────────────────────────────────────
+// ── attach_bot ────────────────────────────────────────────────────────────────
 server.tool(
-  "bot_status",
-  "Check if the bot has been admitted to the meeting and is active",
+  "attach_bot",
+  "Adopt a bot that is already in a meeting (created by another session or before a restart) so the other tools accept its ID",
   {
-    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    bot_id: z.string().describe("ID of the existing bot"),
+    from_start: z.boolean().default(false)
+      .describe("Have the next get_transcript return everything said so far instead of only new speech"),
   },
-  async ({ bot_id }) => {
-    if (isHostedMode) {
-      const { ok, status, data } = await groupthinApi("GET", `/bots/${bot_id}/status`);
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to check status", status, data) }] };
-      }
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Bot "${data.bot_name}" — Status: ${data.status}\nMeeting: ${data.meeting_url}\nCreated: ${data.created_at}`,
-          },
-        ],
-      };
+  async ({ bot_id, from_start }) => {
+    if (activeBots.has(bot_id)) {
+      return { content: [{ type: "text", text: `Bot ${bot_id} is already attached to this session.` }] };
     }
 
-    const { ok, status, data } = await recallApi("GET", `/bot/${bot_id}/`);
-    if (!ok) {
-      return { content: [{ type: "text", text: formatApiError("Failed to check status", status, data) }] };
+    const { error, name, code, meetingUrl, platform, createdAt } = await fetchBotStatus(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
+    if (FINISHED_STATUSES.has(code)) {
+      return { content: [{ type: "text", text: `Bot ${bot_id} has already left its meeting (status: ${code}).` }] };
+    }
+
+    let transcriptCursor = {};
+    let lastTranscriptTs = null;
+    if (!from_start) {
+      const { transcript = [] } = await fetchTranscript(bot_id);
+      transcriptCursor = seedCursor(transcript, Infinity);
+      const ends = transcript.map(entryEnd).filter((t) => t !== null);
+      lastTranscriptTs = ends.length ? Math.max(...ends) : null;
     }
 
-    const statuses = data.status_changes || [];
-    const latest = statuses[statuses.length - 1];
+    activeBots.set(bot_id, createBotRecord({ id: bot_id, name, meetingUrl, createdAt, lastTranscriptTs, transcriptCursor }));
+    persistBots();
+    usage.startBot(bot_id, { name, meetingUrl });
+    notifyBotListChanged();
 
     return {
-      content: [
-        {
-          type: "text",
-          text: `Bot "${data.bot_name}" — Status: ${latest?.code || "unknown"}\nMeeting: ${typeof data.meeting_url === 'string' ? data.meeting_url : JSON.stringify(data.meeting_url)}\nCreated: ${data.created_at}`,
-        },
-      ],
+      content: [{
+        type: "text",
+        text: `🔗 Attached bot "${name}" (ID: ${bot_id}) — Status: ${code}\nMeeting: ${meetingUrl}${platform ? ` (${platform})` : ""}\n\n` +
+          (from_start
+            ? `get_transcript will start from the beginning of the meeting.`
+            : `get_transcript will return speech from now on; use catch_up for what was said before.`),
+      }],
     };
   }
 );
@@ -465,6 +2339,8 @@ server.tool(
       } catch (err) {
         results.push(`❌ Groupthink API: ${err.message}`);
       }
+    } else if (isSimulatorMode) {
+      results.push(`✅ Simulator: replaying ${resolve(SIMULATOR_SCRIPT)} — no network calls are made`);
     } else {
       // Check Recall
       try {
@@ -476,22 +2352,30 @@ server.tool(
         results.push(`❌ Recall.ai API: ${err.message}`);
       }
 
-      // Check OpenAI — lightweight models list call
-      try {
-        const res = await fetch("https://api.openai.com/v1/models?limit=1", {
-          headers: { Authorization: `Bearer ${OPENAI_KEY}` },
-          signal: timeoutSignal(RECALL_TIMEOUT),
-        });
-        results.push(res.ok
-          ? "✅ OpenAI API: connected"
-          : `❌ OpenAI API: ${res.status} — check your OPENAI_KEY`);
-      } catch (err) {
-        results.push(`❌ OpenAI API: ${err.message}`);
+      // Check the TTS engine
+      const tts = await ttsProvider.check();
+      results.push(`${tts.ok ? "✅" : "❌"} ${tts.detail}`);
+
+      if (transcriptReceiver) {
+        results.push(`✅ Transcription receiver: listening on ${transcriptReceiver.host}:${transcriptReceiver.port}, ` +
+          `Recall posts to ${RECALL_WEBHOOK_URL}/transcription` +
+          (transcriptReceiver.verifiesSignatures ? "" : " (signatures NOT verified — set RECALL_WEBHOOK_SECRET)"));
+      } else if (RECALL_WEBHOOK_URL) {
+        results.push(`⚠️ Transcription receiver: not running locally — Recall posts to ${RECALL_WEBHOOK_URL}/transcription, get_transcript polls Recall`);
+      } else {
+        results.push(`⚠️ Transcription receiver: ${NO_RECEIVER_NOTE}`);
       }
     }
 
-    results.push(`\nMode: ${isHostedMode ? "Groupthink hosted" : "Direct (self-hosted)"}`);
-    results.push(`Active bots: ${activeBots.size}`);
+    results.push(`\nMode: ${isHostedMode ? "Groupthink hosted" : isSimulatorMode ? "Simulator (offline)" : "Direct (self-hosted)"}`);
+    const phases = Object.entries(lifecycle.counts())
+      .map(([phase, n]) => `${n} ${phase === "unknown" ? "not checked yet" : PHASE_LABELS[phase]}`);
+    results.push(`Active bots: ${activeBots.size}${phases.length ? ` (${phases.join(", ")})` : ""}`);
+    if (httpServer) {
+      const sessions = httpServer.sessions();
+      results.push(`HTTP: http://${httpServer.host}:${httpServer.port}/mcp, ${sessions.length} client session(s)` +
+        sessions.map((s) => `\n  - ${s.client} (since ${s.connectedAt})`).join(""));
+    }
 
     return { content: [{ type: "text", text: results.join("\n") }] };
   }
@@ -500,50 +2384,94 @@ server.tool(
 // ── save_notes ────────────────────────────────────────────────────────────────
 server.tool(
   "save_notes",
-  "Save structured meeting notes (summary, action items, topics, sentiment) for the current bot session",
+  "Save structured meeting notes (summary, action items, topics, sentiment) for the current bot session. " +
+  "Use mode \"merge\" to add to earlier notes instead of replacing them",
   {
     bot_id: z.string().describe("The bot ID returned from join_meeting"),
     summary: z.string().describe("Summary of the meeting so far"),
     action_items: z.array(z.string()).default([]).describe("List of action items identified"),
     key_topics: z.array(z.string()).default([]).describe("Key topics discussed"),
-    sentiment: z.string().default("neutral").describe("Overall meeting sentiment (e.g. positive, neutral, negative, mixed)"),
+    sentiment: z.string().optional().describe("Overall meeting sentiment (e.g. positive, neutral, negative, mixed; default neutral)"),
     raw_notes: z.string().default("").describe("Freeform raw notes or additional context"),
+    mode: z.enum(["replace", "merge"]).default("replace")
+      .describe("replace: these notes become the current notes. merge: append action items, topics and raw notes to the saved ones (duplicates removed) and update summary/sentiment"),
   },
-  async ({ bot_id, summary, action_items, key_topics, sentiment, raw_notes }) => {
+  async ({ bot_id, summary, action_items, key_topics, sentiment, raw_notes, mode }) => {
+    const merge = mode === "merge";
     const body = { summary, action_items, key_topics, sentiment, raw_notes };
 
     if (isHostedMode) {
-      const { ok, status, data } = await groupthinApi("POST", `/bots/${bot_id}/notes`, body);
+      let notes = { ...body, sentiment: sentiment ?? "neutral" };
+      if (merge) {
+        const { notes: saved, error } = await fetchNotes(bot_id);
+        if (error) {
+          return { content: [{ type: "text", text: `Couldn't merge: ${error}` }] };
+        }
+        if (saved) notes = mergeNotes({ action_items: [], key_topics: [], ...saved }, body);
+      }
+      const { ok, status, data } = await groupthinApi("POST", `/bots/${bot_id}/notes`, notes);
       if (!ok) {
         return { content: [{ type: "text", text: formatApiError("Failed to save notes", status, data) }] };
       }
-      return { content: [{ type: "text", text: `📝 Notes saved for bot ${bot_id}.` }] };
+      notifyResourceUpdated(resourceUri(bot_id, "notes"));
+      return { content: [{ type: "text", text: `📝 Notes ${merge ? "merged" : "saved"} for bot ${bot_id}.` }] };
     }
 
-    // Self-hosted: store locally
-    writeLocalNotes(bot_id, { ...body, updated_at: new Date().toISOString() });
-    return { content: [{ type: "text", text: `📝 Notes saved locally for bot ${bot_id}.` }] };
+    // Self-hosted: keep every save as a version
+    let entry;
+    try {
+      entry = writeLocalNotes(bot_id, body, merge);
+    } catch (err) {
+      return { content: [{ type: "text", text: `Failed to save notes to ${NOTES_DIR}: ${err.message}` }] };
+    }
+    notifyResourceUpdated(resourceUri(bot_id, "notes"));
+    const { action_items: items, key_topics: topics } = entry.notes;
+    return {
+      content: [{
+        type: "text",
+        text: `📝 Notes ${merge ? "merged" : "saved"} locally for bot ${bot_id} (version ${entry.version}: ` +
+          `${items.length} action item(s), ${topics.length} topic(s)).`,
+      }],
+    };
   }
 );
 
 // ── get_notes ─────────────────────────────────────────────────────────────────
 server.tool(
   "get_notes",
-  "Retrieve saved meeting notes for a bot session",
+  "Retrieve saved meeting notes for a bot session — the latest, a specific version, or a diff between versions",
   {
     bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    version: z.number().int().positive().optional().describe("Return this saved version instead of the latest (self-hosted only)"),
+    diff_from: z.number().int().positive().optional()
+      .describe("Show what changed from this version to `version` (or the latest) instead of the notes themselves (self-hosted only)"),
   },
-  async ({ bot_id }) => {
-    if (isHostedMode) {
-      const { ok, status, data } = await groupthinApi("GET", `/bots/${bot_id}/notes`);
-      if (!ok) {
-        return { content: [{ type: "text", text: formatApiError("Failed to get notes", status, data) }] };
+  async ({ bot_id, version, diff_from }) => {
+    if (version !== undefined || diff_from !== undefined) {
+      if (isHostedMode) {
+        return { content: [{ type: "text", text: "Note versions are only kept in self-hosted mode; call get_notes without version/diff_from." }] };
       }
-      return { content: [{ type: "text", text: JSON.stringify(data, null, 2) }] };
+      const versions = readLocalNoteVersions(bot_id);
+      if (versions.length === 0) {
+        return { content: [{ type: "text", text: `No notes found for bot ${bot_id}. Use save_notes first.` }] };
+      }
+      const find = (n) => versions.find((v) => v.version === n);
+      const target = version !== undefined ? find(version) : versions[versions.length - 1];
+      const base = diff_from !== undefined ? find(diff_from) : null;
+      const missing = [version, diff_from].find((n) => n !== undefined && !find(n));
+      if (missing !== undefined) {
+        return { content: [{ type: "text", text: `Version ${missing} doesn't exist — bot ${bot_id} has versions 1–${versions.length}.` }] };
+      }
+      const result = base
+        ? diffNotes(base, target)
+        : { ...target.notes, updated_at: target.saved_at, version: target.version, total_versions: versions.length };
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
     }
 
-    // Self-hosted: read local
-    const notes = readLocalNotes(bot_id);
+    const { notes, error } = await fetchNotes(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
     if (!notes) {
       return { content: [{ type: "text", text: `No notes found for bot ${bot_id}. Use save_notes first.` }] };
     }
@@ -551,13 +2479,372 @@ server.tool(
   }
 );
 
+// ── export_transcript ─────────────────────────────────────────────────────────
+server.tool(
+  "export_transcript",
+  "Write the full timestamped meeting transcript to a file as SRT, WebVTT, Markdown (with saved notes) or raw JSON",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    format: z.enum(Object.keys(EXPORT_FORMATS)).default("markdown").describe("Output format"),
+    path: z.string().optional()
+      .describe("Where to write the file, relative to the working directory (default: meeting-transcripts/<bot_id>.<ext>)"),
+  },
+  async ({ bot_id, format, path }) => {
+    const { transcript, error } = await fetchTranscript(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
+    if (transcript.length === 0) {
+      return { content: [{ type: "text", text: "Nothing to export yet — the transcript is empty." }] };
+    }
+
+    const bot = activeBots.get(bot_id);
+    const meta = { botId: bot_id, botName: bot?.name, meetingUrl: bot?.meetingUrl };
+
+    let output;
+    let notesNote = "";
+    switch (format) {
+      case "srt": output = toSrt(transcript); break;
+      case "vtt": output = toVtt(transcript); break;
+      case "json": output = toJson(transcript, meta); break;
+      case "markdown": {
+        const { notes, error: notesError } = await fetchNotes(bot_id);
+        if (notes) notesNote = " Saved notes are included as a header section.";
+        if (notesError) notesNote = ` Notes were left out — ${notesError}`;
+        output = toMarkdown(transcript, { ...meta, notes });
+        break;
+      }
+    }
+
+    const target = resolve(path || join("meeting-transcripts", `${bot_id}.${EXPORT_FORMATS[format]}`));
+    try {
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, output);
+    } catch (err) {
+      return { content: [{ type: "text", text: `Failed to write ${target}: ${err.message}` }] };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `📄 Exported ${transcript.length} transcript entries as ${format} to ${target}.${notesNote}`,
+      }],
+    };
+  }
+);
+
+// ── meeting_stats ─────────────────────────────────────────────────────────────
+server.tool(
+  "meeting_stats",
+  "Speaker analytics for the meeting or a time window: talk time and share, turns, average and longest turn, interruptions, monologues and participants who haven't spoken. Returned as Markdown; optionally written to a file.",
+  {
+    bot_id: z.string().describe("The bot ID returned from join_meeting"),
+    since: z.string().optional().describe("Start of the window (e.g. \"12:30\", \"1:05:00\" or seconds)"),
+    until: z.string().optional().describe("End of the window (same format as since)"),
+    monologue_seconds: z.number().int().min(10).default(DEFAULT_MONOLOGUE_SECONDS)
+      .describe("Turns at least this long are listed as monologues"),
+    path: z.string().optional().describe("Also write the report to this Markdown file, relative to the working directory"),
+  },
+  async ({ bot_id, since, until, monologue_seconds, path }) => {
+    const sinceTs = parseTimestamp(since);
+    const untilTs = parseTimestamp(until);
+    if ((since && sinceTs === null) || (until && untilTs === null)) {
+      return { content: [{ type: "text", text: `Invalid time range — use "mm:ss", "h:mm:ss" or seconds.` }] };
+    }
+
+    const { transcript, error } = await fetchTranscript(bot_id);
+    if (error) {
+      return { content: [{ type: "text", text: error }] };
+    }
+    if (transcript.length === 0) {
+      return { content: [{ type: "text", text: "No stats yet — the transcript is empty." }] };
+    }
+
+    const bot = activeBots.get(bot_id);
+    // Silent participants need the roster; the rest of the report doesn't
+    const roster = await fetchParticipants(bot_id);
+    let participants = [];
+    if (!roster.error) {
+      const { present, left } = buildRoster(roster.participants, { exclude: (p) => isBotParticipant(bot, p) });
+      participants = [...present, ...left].map((p) => p.name);
+    }
+
+    const stats = computeStats(transcript, {
+      since: sinceTs,
+      until: untilTs,
+      monologueSeconds: monologue_seconds,
+      participants,
+      isBot: (entry) => isBotEntry(bot, entry),
+    });
+    if (stats.speakers.length === 0) {
+      return { content: [{ type: "text", text: "Nobody spoke in that window." }] };
+    }
+
+    let report = statsToMarkdown(stats, { botId: bot_id, botName: bot?.name, meetingUrl: bot?.meetingUrl });
+    if (roster.error) report += `\n_Silent participants unavailable — ${roster.error}_\n`;
+
+    if (path) {
+      const target = resolve(path);
+      try {
+        mkdirSync(dirname(target), { recursive: true });
+        writeFileSync(target, report);
+      } catch (err) {
+        return { content: [{ type: "text", text: `Failed to write ${target}: ${err.message}\n\n${report}` }] };
+      }
+      report += `\n📄 Written to ${target}\n`;
+    }
+
+    return { content: [{ type: "text", text: report }] };
+  }
+);
+
+// ── list_meetings ───────────────────────────────────────────────────────────
+function describeMeetingDate(iso) {
+  if (!iso) return "unknown date";
+  const d = new Date(iso);
+  return `${d.toLocaleDateString("en-US", { weekday: "short", timeZone: "UTC" })} ${d.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+server.tool(
+  "list_meetings",
+  "List past meetings in the local archive (newest first), with participants and whether notes were saved",
+  {
+    date_range: z.object({
+      from: z.string().optional().describe("Earliest start date, e.g. 2024-05-07"),
+      to: z.string().optional().describe("Latest start date (inclusive when a plain date)"),
+    }).optional().describe("Only meetings that started in this range"),
+    limit: z.number().int().min(1).max(200).default(20).describe("Maximum number of meetings to list"),
+  },
+  async ({ date_range, limit }) => {
+    const range = parseDateRange(date_range);
+    if (range.error) {
+      return { content: [{ type: "text", text: range.error }] };
+    }
+    const meetings = loadArchive(ARCHIVE_DIR).filter((m) => meetingInRange(m, range));
+    if (meetings.length === 0) {
+      return { content: [{ type: "text", text: `No archived meetings${date_range ? " in that date range" : ""}. Meetings are archived when the bot leaves.` }] };
+    }
+
+    const lines = meetings.slice(0, limit).map((m) => {
+      const minutes = m.started_at ? Math.round((Date.parse(m.ended_at) - Date.parse(m.started_at)) / 60_000) : null;
+      const people = m.participants.map((p) => p.name).join(", ") || "nobody heard";
+      return `- ${describeMeetingDate(m.started_at)} — ${m.name ?? "bot"} (bot_id: ${m.bot_id})` +
+        `${minutes !== null ? `, ${minutes} min` : ""}${m.notes ? ", notes saved" : ""}\n` +
+        `  ${m.meeting_url ?? "unknown meeting"} · ${m.transcript.length} entries · ${people}`;
+    });
+    const more = meetings.length > limit ? `\n\n(${meetings.length - limit} older meeting(s) not shown — raise limit or narrow date_range)` : "";
+    return { content: [{ type: "text", text: `${meetings.length} archived meeting(s):\n\n${lines.join("\n")}${more}` }] };
+  }
+);
+
+// ── search_meetings ─────────────────────────────────────────────────────────
+server.tool(
+  "search_meetings",
+  "Search past meeting transcripts and notes by keyword. Returns matching snippets with the meeting, speaker and timestamp",
+  {
+    query: z.string().min(1).describe("Keywords — every word must appear in a matching line (case-insensitive)"),
+    speaker: z.string().optional().describe("Only lines spoken by this participant (name substring, case-insensitive)"),
+    date_range: z.object({
+      from: z.string().optional().describe("Earliest start date, e.g. 2024-05-07"),
+      to: z.string().optional().describe("Latest start date (inclusive when a plain date)"),
+    }).optional().describe("Only meetings that started in this range"),
+    limit: z.number().int().min(1).max(200).default(30).describe("Maximum number of matches to return"),
+  },
+  async ({ query, speaker, date_range, limit }) => {
+    const range = parseDateRange(date_range);
+    if (range.error) {
+      return { content: [{ type: "text", text: range.error }] };
+    }
+    const meetings = loadArchive(ARCHIVE_DIR).filter((m) => meetingInRange(m, range));
+    const results = searchArchive(meetings, { query, speaker });
+    if (results.length === 0) {
+      return { content: [{ type: "text", text: `No matches for "${query}" in ${meetings.length} archived meeting(s).` }] };
+    }
+
+    // Group by meeting so each header appears once
+    const sections = [];
+    let current = null;
+    for (const r of results.slice(0, limit)) {
+      if (current?.meeting !== r.meeting) {
+        current = { meeting: r.meeting, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push(r.source === "notes"
+        ? `  [notes · ${r.field}] ${r.snippet}`
+        : `  [${formatTimestamp(r.timestamp)}] ${r.speaker}: ${r.snippet}`);
+    }
+    const text = sections.map(({ meeting, lines }) =>
+      `## ${describeMeetingDate(meeting.started_at)} — ${meeting.name ?? "bot"} (bot_id: ${meeting.bot_id})\n${lines.join("\n")}`
+    ).join("\n\n");
+    const more = results.length > limit ? `\n\n(${results.length - limit} more match(es) — narrow the query or raise limit)` : "";
+    return { content: [{ type: "text", text: `${results.length} match(es) for "${query}":\n\n${text}${more}` }] };
+  }
+);
+
+// ── Resources ─────────────────────────────────────────────────────────────────
+// Each active bot's transcript, participants and notes are readable as
+// meeting://{bot_id}/... resources. Subscribed clients get resources/updated
+// when they change, so they don't have to poll get_transcript.
+
+const RESOURCE_KINDS = ["transcript", "participants", "notes"];
+
+// Without the webhook receiver (hosted mode, or polling Recall) nothing pushes
+// new speech to us, so subscribed transcripts are re-fetched this often.
+// Joins and leaves are never pushed, so subscribed rosters always are.
+const RESOURCE_POLL_MS = 5000;
+
+// Bursts of webhook entries are folded into one notification per resource
+const RESOURCE_NOTIFY_DEBOUNCE_MS = 500;
+
+// Each connected McpServer → resource URIs its client subscribed to
+const resourceSubscriptions = new Map();
+const pendingResourceUpdates = new Map();
+
+function isSubscribed(uri) {
+  return [...resourceSubscriptions.values()].some((uris) => uris.has(uri));
+}
+
+function resourceUri(botId, kind) {
+  return `meeting://${botId}/${kind}`;
+}
+
+function notifyResourceUpdated(uri) {
+  if (!isSubscribed(uri) || pendingResourceUpdates.has(uri)) return;
+  pendingResourceUpdates.set(uri, setTimeout(() => {
+    pendingResourceUpdates.delete(uri);
+    for (const [mcp, uris] of resourceSubscriptions) {
+      if (uris.has(uri)) mcp.server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+  }, RESOURCE_NOTIFY_DEBOUNCE_MS));
+}
+
+function notifyBotListChanged() {
+  for (const mcp of resourceSubscriptions.keys()) mcp.sendResourceListChanged();
+}
+
+transcriptEvents.on("speech", (botId) => notifyResourceUpdated(resourceUri(botId, "transcript")));
+
+// Transcript size last seen by the poller: entries plus words, so grown entries count too
+const polledTranscriptSizes = new Map();
+
+async function pollTranscript(botId) {
+  let transcript;
+  try {
+    ({ transcript } = await fetchTranscript(botId));
+  } catch {
+    return; // Network trouble; try again next tick
+  }
+  if (!transcript) return;
+  const size = transcript.reduce((n, e) => n + 1 + (e.words?.length ?? 0), 0);
+  const previous = polledTranscriptSizes.get(botId);
+  polledTranscriptSizes.set(botId, size);
+  if (previous !== undefined && size !== previous) transcriptEvents.emit("speech", botId);
+}
+
+// The participants resource as JSON: list_participants' roster, without the timeline
+async function participantsJson(botId) {
+  const { participants, error } = await fetchParticipants(botId);
+  if (error) return { error };
+  const bot = activeBots.get(botId);
+  const { present, left, host } = buildRoster(participants, { exclude: (p) => isBotParticipant(bot, p) });
+  return { json: JSON.stringify({ host, present, left }, null, 2) };
+}
+
+// Roster last seen by the poller, as its resource JSON
+const polledRosters = new Map();
+
+async function pollRoster(botId) {
+  let roster;
+  try {
+    roster = await participantsJson(botId);
+  } catch {
+    return;
+  }
+  if (roster.error) return;
+  const previous = polledRosters.get(botId);
+  polledRosters.set(botId, roster.json);
+  if (previous !== undefined && roster.json !== previous) notifyResourceUpdated(resourceUri(botId, "participants"));
+}
+
+setInterval(async () => {
+  for (const botId of [...activeBots.keys()]) {
+    if (!transcriptReceiver && isSubscribed(resourceUri(botId, "transcript"))) await pollTranscript(botId);
+    if (isSubscribed(resourceUri(botId, "participants"))) await pollRoster(botId);
+  }
+}, RESOURCE_POLL_MS).unref();
+
+function listBotResources(kind, description) {
+  return () => ({
+    resources: [...activeBots.values()].map((bot) => ({
+      uri: resourceUri(bot.id, kind),
+      name: `${bot.name} — ${kind}`,
+      description,
+    })),
+  });
+}
+
+function resourceText(uri, text, mimeType = "text/plain") {
+  return { contents: [{ uri: uri.href, mimeType, text }] };
+}
+
+server.resource(
+  "meeting-transcript",
+  new ResourceTemplate("meeting://{bot_id}/transcript", {
+    list: listBotResources("transcript", "Live transcript of the meeting so far"),
+  }),
+  { description: "Full live transcript of a bot's meeting, one timestamped line per utterance", mimeType: "text/plain" },
+  async (uri, { bot_id }) => {
+    const { transcript, error } = await fetchTranscript(bot_id);
+    if (error) return resourceText(uri, error);
+    const lines = transcript.map((entry) =>
+      `[${formatTimestamp(entryStart(entry))}] ${entry.speaker || "Unknown"}: ${entryText(entry)}`
+    );
+    return resourceText(uri, lines.join("\n") || "(No speech yet)");
+  }
+);
+
+server.resource(
+  "meeting-participants",
+  new ResourceTemplate("meeting://{bot_id}/participants", {
+    list: listBotResources("participants", "Who is in the meeting and who has left"),
+  }),
+  {
+    description: "A bot's meeting roster, as list_participants reports it: the host, who is present (with join times) and who has left",
+    mimeType: "application/json",
+  },
+  async (uri, { bot_id }) => {
+    const { json, error } = await participantsJson(bot_id);
+    if (error) return resourceText(uri, error);
+    return resourceText(uri, json, "application/json");
+  }
+);
+
+server.resource(
+  "meeting-notes",
+  new ResourceTemplate("meeting://{bot_id}/notes", {
+    list: listBotResources("notes", "Notes saved with save_notes"),
+  }),
+  { description: "The latest notes saved for a bot's meeting", mimeType: "application/json" },
+  async (uri, { bot_id }) => {
+    const { notes, error } = await fetchNotes(bot_id);
+    if (error) return resourceText(uri, error);
+    return resourceText(uri, JSON.stringify(notes, null, 2), "application/json");
+  }
+);
+
 // ── Graceful shutdown: clean up active bots ──────────────────────────────────
 async function gracefulShutdown() {
-  if (activeBots.size === 0) process.exit(0);
+  scheduler.stop();
+  lifecycle.stop();
+  usage.flush();
+  await httpServer?.close();
+  await transcriptReceiver?.close();
+  if (activeBots.size === 0 || KEEP_BOTS_ON_EXIT) process.exit(0);
 
   console.error(`Shutting down — removing ${activeBots.size} active bot(s) from meetings...`);
 
   const leavePromises = [...activeBots.keys()].map(async (botId) => {
+    await archiveBot(botId);
     try {
       if (isHostedMode) {
         await groupthinApi("POST", `/bots/${botId}/leave`);
@@ -567,15 +2854,101 @@ async function gracefulShutdown() {
     } catch {
       // Best-effort cleanup
     }
+    usage.markLeft(botId, { reason: "the server shut down" });
   });
 
   await Promise.allSettled(leavePromises);
+  activeBots.clear();
+  persistBots();
+  usage.flush();
   process.exit(0);
 }
 
 process.on("SIGINT", gracefulShutdown);
 process.on("SIGTERM", gracefulShutdown);
 
+// ── Restore sessions ──────────────────────────────────────────────────────────
+// Bots loaded from STATE_FILE are usable immediately; the lifecycle monitor
+// drops the ones whose call has ended (or that the API no longer knows) once
+// their status comes back.
+async function verifyRestoredBots() {
+  const restored = [...activeBots.keys()];
+  if (restored.length === 0) return;
+
+  await Promise.allSettled(restored.map((botId) => lifecycle.check(botId)));
+  console.error(`Restored ${activeBots.size} of ${restored.length} bot session(s) from ${STATE_FILE}`);
+}
+
+verifyRestoredBots()
+  .catch((err) => console.error(`Failed to verify restored bots: ${err.message}`))
+  .finally(() => lifecycle.start());
+scheduler.start();
+
 // ── Start server ──────────────────────────────────────────────────────────────
-const transport = new StdioServerTransport();
-await server.connect(transport);
+// Stdio by default. With --http, serve MCP Streamable HTTP on localhost so
+// several agents can share this process and its bots:
+//   MCP_HTTP_PORT  (default 8765)
+//   MCP_HTTP_TOKEN bearer token clients must send; a random one is generated
+//                  and printed when unset
+
+function createMcpServer() {
+  const mcp = new McpServer({
+    name: "groupthink-meeting",
+    version: "0.2.0",
+  });
+  for (const define of serverDefinitions) define(mcp);
+
+  const subscriptions = new Set();
+  mcp.server.registerCapabilities({ resources: { subscribe: true } });
+  mcp.server.setRequestHandler(SubscribeRequestSchema, async ({ params }) => {
+    subscriptions.add(params.uri);
+    // Read the roster now, so a join before the next poll still counts as a change
+    const rosterBotId = params.uri.match(/^meeting:\/\/([^/]+)\/participants$/)?.[1];
+    if (rosterBotId && activeBots.has(rosterBotId) && !polledRosters.has(rosterBotId)) await pollRoster(rosterBotId);
+    return {};
+  });
+  mcp.server.setRequestHandler(UnsubscribeRequestSchema, async ({ params }) => {
+    subscriptions.delete(params.uri);
+    return {};
+  });
+  resourceSubscriptions.set(mcp, subscriptions);
+  return mcp;
+}
+
+const HTTP_MODE = process.argv.includes("--http");
+let httpServer = null;
+
+if (HTTP_MODE) {
+  const token = process.env.MCP_HTTP_TOKEN || randomBytes(24).toString("base64url");
+  try {
+    httpServer = await startHttpServer({
+      port: Number(process.env.MCP_HTTP_PORT || 8765),
+      token,
+      createServer: createMcpServer,
+      // A new session hears what's new from here on, like the shared cursor
+      onSessionOpened: (sessionId) => {
+        for (const bot of activeBots.values()) {
+          bot.sessionCursors.set(sessionId, { ...bot.transcriptCursor });
+          bot.sessionChatCursors.set(sessionId, bot.chatCursor);
+        }
+        console.error(`MCP session ${sessionId} opened`);
+      },
+      onSessionClosed: (sessionId, mcp) => {
+        resourceSubscriptions.delete(mcp);
+        for (const bot of activeBots.values()) {
+          bot.sessionCursors.delete(sessionId);
+          bot.sessionChatCursors.delete(sessionId);
+        }
+        console.error(`MCP session ${sessionId} closed`);
+      },
+    });
+  } catch (err) {
+    console.error(`Failed to start HTTP server: ${err.message}`);
+    process.exit(1);
+  }
+  console.error(`MCP server listening on http://${httpServer.host}:${httpServer.port}/mcp`);
+  if (!process.env.MCP_HTTP_TOKEN) console.error(`No MCP_HTTP_TOKEN set — clients must send: Authorization: Bearer ${token}`);
+} else {
+  const transport = new StdioServerTransport();
+  await createMcpServer().connect(transport);
+}
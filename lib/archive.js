@@ -0,0 +1,177 @@
+/**
+ * Archive of finished meetings: one JSON file per bot in the archive dir,
+ * written when the bot leaves, so past transcripts and notes stay searchable.
+ *
+ *   { bot_id, name, meeting_url, started_at, ended_at,
+ *     participants: [{ name, first_spoke, last_spoke, words }], notes, transcript }
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync, readdirSync } from "node:fs";
+import { join } from "node:path";
+import { entryStart, entryEnd, entryText } from "./transcript.js";
+
+// Everyone heard in the transcript, in order of first speech
+export function summarizeParticipants(transcript) {
+  const byName = new Map();
+  for (const entry of transcript) {
+    const name = entry.speaker || "Unknown";
+    const p = byName.get(name) ?? { name, first_spoke: entryStart(entry), last_spoke: null, words: 0 };
+    p.last_spoke = entryEnd(entry) ?? p.last_spoke;
+    p.words += entry.words?.length ?? 0;
+    byName.set(name, p);
+  }
+  return [...byName.values()];
+}
+
+function readArchive(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write (or refresh) the archive entry for a meeting. If the bot was archived
+ * before with a longer transcript — e.g. a restarted server only saw the tail
+ * of the call — the longer one is kept.
+ *
+ * @param {string} dir
+ * @param {object} meeting
+ * @param {string} meeting.botId
+ * @param {string} [meeting.name]
+ * @param {string} [meeting.meetingUrl]
+ * @param {string} [meeting.startedAt]
+ * @param {object[]} meeting.transcript
+ * @param {object|null} [meeting.notes]
+ */
+export function archiveMeeting(dir, { botId, name, meetingUrl, startedAt, transcript, notes = null }) {
+  const path = join(dir, `${botId}.json`);
+  const previous = readArchive(path);
+  const keepOld = previous?.transcript?.length > transcript.length;
+  const finalTranscript = keepOld ? previous.transcript : transcript;
+
+  const record = {
+    bot_id: botId,
+    name: name ?? previous?.name ?? null,
+    meeting_url: meetingUrl ?? previous?.meeting_url ?? null,
+    started_at: startedAt ?? previous?.started_at ?? null,
+    ended_at: new Date().toISOString(),
+    participants: summarizeParticipants(finalTranscript),
+    notes: notes ?? previous?.notes ?? null,
+    transcript: finalTranscript,
+  };
+
+  mkdirSync(dir, { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(record, null, 2));
+  renameSync(tmp, path);
+  return record;
+}
+
+/** Every archived meeting, newest first. Unreadable files are skipped. */
+export function loadArchive(dir) {
+  let files;
+  try {
+    files = readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch {
+    return [];
+  }
+  return files
+    .map((f) => readArchive(join(dir, f)))
+    .filter(Boolean)
+    .sort((a, b) => String(b.started_at ?? b.ended_at).localeCompare(String(a.started_at ?? a.ended_at)));
+}
+
+// "2024-05-07" as an upper bound means the whole of that day
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) return undefined;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) ? ms + 86_400_000 : ms;
+}
+
+/**
+ * Resolve a { from, to } range to epoch bounds. Returns { error } when either
+ * side isn't a date.
+ */
+export function parseDateRange(range) {
+  const from = parseBound(range?.from, false);
+  const to = parseBound(range?.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: `Couldn't parse date range ${JSON.stringify(range)} — use ISO dates like 2024-05-07.` };
+  }
+  return { from, to };
+}
+
+export function meetingInRange(meeting, { from, to }) {
+  const at = Date.parse(meeting.started_at ?? meeting.ended_at);
+  if (Number.isNaN(at)) return from === null && to === null;
+  return (from === null || at >= from) && (to === null || at < to);
+}
+
+const SNIPPET_RADIUS = 120;
+
+// Cut `text` down to the part around the first matched term
+function snippet(text, terms) {
+  const lower = text.toLowerCase();
+  const hit = Math.max(0, Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0)));
+  const start = Math.max(0, hit - SNIPPET_RADIUS);
+  const end = Math.min(text.length, hit + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end).trim()}${end < text.length ? "…" : ""}`;
+}
+
+function notesFields(notes) {
+  if (!notes) return [];
+  return [
+    ["summary", notes.summary],
+    ...(notes.action_items ?? []).map((item) => ["action item", item]),
+    ...(notes.key_topics ?? []).map((topic) => ["topic", topic]),
+    ["raw notes", notes.raw_notes],
+  ].filter(([, text]) => text);
+}
+
+/**
+ * Keyword search over archived transcripts and notes. A transcript entry or
+ * notes field matches when it contains every word of the query
+ * (case-insensitive). Note matches are only returned when no speaker filter
+ * is given.
+ *
+ * @param {object[]} meetings - From loadArchive
+ * @param {object} options
+ * @param {string} options.query
+ * @param {string} [options.speaker] - Case-insensitive substring of the speaker name
+ * @returns {{ meeting: object, source: "transcript"|"notes", speaker?: string, timestamp?: number, field?: string, snippet: string }[]}
+ */
+export function searchArchive(meetings, { query, speaker }) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+  const matches = (text) => {
+    const lower = text.toLowerCase();
+    return terms.every((t) => lower.includes(t));
+  };
+  const speakerFilter = speaker?.toLowerCase();
+
+  const results = [];
+  for (const meeting of meetings) {
+    if (!speakerFilter) {
+      for (const [field, text] of notesFields(meeting.notes)) {
+        if (matches(text)) results.push({ meeting, source: "notes", field, snippet: snippet(text, terms) });
+      }
+    }
+    for (const entry of meeting.transcript ?? []) {
+      if (speakerFilter && !(entry.speaker || "").toLowerCase().includes(speakerFilter)) continue;
+      const text = entryText(entry);
+      if (matches(text)) {
+        results.push({
+          meeting,
+          source: "transcript",
+          speaker: entry.speaker || "Unknown",
+          timestamp: entryStart(entry),
+          snippet: snippet(text, terms),
+        });
+      }
+    }
+  }
+  return results;
+}
@@ -0,0 +1,32 @@
+/**
+ * On-disk record of the bots this server manages, so a restarted server (the
+ * MCP client reloads it often) can pick up bots that are still in their calls.
+ *
+ * Only durable fields are stored:
+ *   { id, name, meetingUrl, mode, lastTranscriptTs, transcriptCursor, selfSpeakerId, chatCursor, createdAt }
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync } from "node:fs";
+import { dirname } from "node:path";
+
+const PERSISTED_FIELDS = [
+  "id", "name", "meetingUrl", "mode", "lastTranscriptTs", "transcriptCursor", "selfSpeakerId", "chatCursor", "createdAt",
+];
+
+export function loadBotRecords(path) {
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(data.bots) ? data.bots : [];
+  } catch {
+    return [];
+  }
+}
+
+// Write via a temp file + rename so a crash mid-write can't corrupt the state
+export function saveBotRecords(path, records) {
+  const bots = records.map((r) => Object.fromEntries(PERSISTED_FIELDS.map((f) => [f, r[f] ?? null])));
+  mkdirSync(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ version: 1, bots }, null, 2));
+  renameSync(tmp, path);
+}
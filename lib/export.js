@@ -0,0 +1,115 @@
+/**
+ * Transcript exporters: SRT, WebVTT, speaker-grouped Markdown and raw JSON.
+ * All take Recall-shaped entries (see transcript.js).
+ */
+
+import { entryStart, entryEnd, entryText, formatTimestamp } from "./transcript.js";
+
+export const EXPORT_FORMATS = {
+  srt: "srt",
+  vtt: "vtt",
+  markdown: "md",
+  json: "json",
+};
+
+// Subtitle cues longer than this many words are split so they fit on screen
+const MAX_CUE_WORDS = 14;
+
+// 75.25 → "00:01:15.250" (the separator is "," for SRT)
+function cueTimestamp(seconds, separator) {
+  const ms = Math.max(0, Math.round((seconds ?? 0) * 1000));
+  const h = String(Math.floor(ms / 3_600_000)).padStart(2, "0");
+  const m = String(Math.floor((ms % 3_600_000) / 60_000)).padStart(2, "0");
+  const s = String(Math.floor((ms % 60_000) / 1000)).padStart(2, "0");
+  const frac = String(ms % 1000).padStart(3, "0");
+  return `${h}:${m}:${s}${separator}${frac}`;
+}
+
+function cues(transcript) {
+  const out = [];
+  for (const entry of transcript) {
+    const words = entry.words || [];
+    for (let i = 0; i < words.length; i += MAX_CUE_WORDS) {
+      const slice = words.slice(i, i + MAX_CUE_WORDS);
+      out.push({
+        speaker: entry.speaker || "Unknown",
+        start: slice[0].start_timestamp,
+        end: slice[slice.length - 1].end_timestamp,
+        text: slice.map((w) => w.text).join(" "),
+      });
+    }
+  }
+  return out;
+}
+
+export function toSrt(transcript) {
+  return cues(transcript)
+    .map((c, i) => `${i + 1}\n${cueTimestamp(c.start, ",")} --> ${cueTimestamp(c.end, ",")}\n${c.speaker}: ${c.text}\n`)
+    .join("\n");
+}
+
+// Voice spans (<v Name>) let players show or style speakers
+export function toVtt(transcript) {
+  const body = cues(transcript)
+    .map((c) => `${cueTimestamp(c.start, ".")} --> ${cueTimestamp(c.end, ".")}\n<v ${c.speaker.replace(/>/g, "")}>${c.text}\n`)
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
+
+function notesSection(notes) {
+  const lines = ["## Notes", ""];
+  if (notes.summary) lines.push(notes.summary, "");
+  if (notes.action_items?.length) {
+    lines.push("### Action items", "", ...notes.action_items.map((a) => `- [ ] ${a}`), "");
+  }
+  if (notes.key_topics?.length) {
+    lines.push("### Key topics", "", ...notes.key_topics.map((t) => `- ${t}`), "");
+  }
+  if (notes.sentiment) lines.push(`**Sentiment:** ${notes.sentiment}`, "");
+  if (notes.raw_notes) lines.push("### Raw notes", "", notes.raw_notes, "");
+  return lines;
+}
+
+/**
+ * @param {object[]} transcript
+ * @param {object} meta
+ * @param {string} meta.botId
+ * @param {string} [meta.botName]
+ * @param {string} [meta.meetingUrl]
+ * @param {object} [meta.notes] - Saved notes; rendered as a section above the transcript
+ */
+export function toMarkdown(transcript, { botId, botName, meetingUrl, notes }) {
+  const lines = ["# Meeting transcript", ""];
+  if (meetingUrl) lines.push(`- **Meeting:** ${meetingUrl}`);
+  lines.push(`- **Bot:** ${botName ? `${botName} (${botId})` : botId}`);
+  lines.push(`- **Exported:** ${new Date().toISOString()}`, "");
+
+  if (notes) lines.push(...notesSection(notes));
+
+  lines.push("## Transcript", "");
+
+  // Consecutive entries from the same speaker become one paragraph
+  let current = null;
+  for (const entry of transcript) {
+    const speaker = entry.speaker || "Unknown";
+    if (!current || current.speaker !== speaker) {
+      if (current) lines.push(`**${current.speaker}** [${formatTimestamp(current.start)}]`, "", current.text.join(" "), "");
+      current = { speaker, start: entryStart(entry), text: [] };
+    }
+    current.text.push(entryText(entry));
+  }
+  if (current) lines.push(`**${current.speaker}** [${formatTimestamp(current.start)}]`, "", current.text.join(" "), "");
+
+  return lines.join("\n");
+}
+
+export function toJson(transcript, { botId, meetingUrl }) {
+  const ends = transcript.map(entryEnd).filter((t) => t !== null);
+  return JSON.stringify({
+    bot_id: botId,
+    meeting_url: meetingUrl ?? null,
+    exported_at: new Date().toISOString(),
+    duration_seconds: ends.length ? Math.max(...ends) : 0,
+    transcript,
+  }, null, 2);
+}
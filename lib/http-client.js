@@ -0,0 +1,92 @@
+/**
+ * JSON requests with retries, under both the Groupthink and Recall API
+ * helpers. Failed attempts are retried with exponential backoff and full
+ * jitter (or after the server's Retry-After), within a time budget per call.
+ *
+ * Only requests that are safe to repeat are retried after an ambiguous
+ * failure — a timeout, a dropped connection or a 5xx, where the server may
+ * already have acted: GET/PUT/DELETE, and POSTs sent with an idempotency key.
+ * Other POSTs are retried only when the request never reached the server or
+ * the server says it didn't process it (429, 503).
+ */
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const UNPROCESSED_STATUSES = new Set([429, 503]);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+
+// Connection errors raised before anything was sent
+const NOT_SENT_ERRORS = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+
+export const DEFAULT_RETRY = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 8_000,
+  // Stays under the 60s most MCP clients wait for a tool call
+  totalTimeoutMs: 45_000,
+  attemptTimeoutMs: 30_000,
+};
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Retry-After is either seconds or an HTTP date. Returns ms, or null.
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.method]
+ * @param {Record<string, string>} [options.headers]
+ * @param {object} [options.body] - Sent as JSON
+ * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key; makes a POST safe to retry
+ * @param {Partial<typeof DEFAULT_RETRY>} [options.retry]
+ * @returns {Promise<{ ok: boolean, status: number, data: any, attempts: number }>}
+ *   Non-JSON bodies come back as { raw }. Throws the last network error if no
+ *   attempt got a response.
+ */
+export async function requestJson(url, { method = "GET", headers = {}, body, idempotencyKey, retry = {} } = {}) {
+  const policy = { ...DEFAULT_RETRY, ...retry };
+  const deadline = Date.now() + policy.totalTimeoutMs;
+  const repeatable = IDEMPOTENT_METHODS.has(method) || Boolean(idempotencyKey);
+  const init = {
+    method,
+    headers: idempotencyKey ? { ...headers, "Idempotency-Key": idempotencyKey } : headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const remaining = deadline - Date.now();
+    let response;
+    try {
+      const res = await fetch(url, { ...init, signal: AbortSignal.timeout(Math.max(1, Math.min(policy.attemptTimeoutMs, remaining))) });
+      const text = await res.text();
+      let data;
+      try { data = JSON.parse(text); } catch { data = { raw: text }; }
+      response = { ok: res.ok, status: res.status, data, attempts: attempt, retryAfter: res.headers.get("retry-after") };
+    } catch (err) {
+      const safe = repeatable || NOT_SENT_ERRORS.has(err.cause?.code);
+      const wait = backoffMs(attempt, policy);
+      if (!safe || attempt >= policy.maxAttempts || Date.now() + wait >= deadline) throw err;
+      await sleep(wait);
+      continue;
+    }
+
+    const { retryAfter, ...result } = response;
+    const retryable = RETRYABLE_STATUSES.has(result.status) && (repeatable || UNPROCESSED_STATUSES.has(result.status));
+    if (!retryable || attempt >= policy.maxAttempts) return result;
+
+    const wait = parseRetryAfter(retryAfter) ?? backoffMs(attempt, policy);
+    if (Date.now() + wait >= deadline) return result;
+    await sleep(wait);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * MCP over Streamable HTTP, so several agents can share one server process.
+ * Each client gets its own session (and its own McpServer from
+ * `createServer`); every request must carry `Authorization: Bearer <token>`.
+ *
+ * Endpoint: POST/GET/DELETE /mcp
+ */
+
+import { createServer as createHttpServer } from "node:http";
+import { randomUUID, createHash, timingSafeEqual } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Sessions with no open request for this long are assumed abandoned
+// (clients are supposed to DELETE them, but crashed ones can't)
+const SESSION_IDLE_MS = 60 * 60_000;
+
+// Hash both sides so the comparison doesn't leak the token's length
+function tokenMatches(header, token) {
+  const presented = header?.match(/^Bearer\s+(.+)$/i)?.[1] ?? "";
+  const a = createHash("sha256").update(presented).digest();
+  const b = createHash("sha256").update(token).digest();
+  return timingSafeEqual(a, b);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Payload too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJsonRpcError(res, httpStatus, message) {
+  res.writeHead(httpStatus, { "Content-Type": "application/json" })
+    .end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Start the HTTP listener. Resolves once the port is bound.
+ *
+ * @param {object} opts
+ * @param {number} opts.port
+ * @param {string} [opts.host] - Interface to bind (default 127.0.0.1)
+ * @param {string} opts.token - Bearer token clients must present
+ * @param {() => import("@modelcontextprotocol/sdk/server/mcp.js").McpServer} opts.createServer - Fresh server per session
+ * @param {(sessionId: string, server: object) => void} [opts.onSessionOpened]
+ * @param {(sessionId: string, server: object) => void} [opts.onSessionClosed]
+ */
+export async function startHttpServer({
+  port, host = "127.0.0.1", token, createServer, onSessionOpened = () => {}, onSessionClosed = () => {},
+}) {
+  const sessions = new Map();
+
+  function closeSession(id) {
+    const session = sessions.get(id);
+    if (!session) return;
+    sessions.delete(id);
+    onSessionClosed(id, session.server);
+    session.server.close().catch(() => {});
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    if (path !== "/mcp") {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!tokenMatches(req.headers.authorization, token)) {
+      res.writeHead(401, { "WWW-Authenticate": 'Bearer realm="mcp"' }).end();
+      return;
+    }
+
+    let body;
+    if (req.method === "POST") {
+      try {
+        body = await readJson(req);
+      } catch {
+        sendJsonRpcError(res, 400, "Request body must be JSON");
+        return;
+      }
+    }
+
+    const sessionId = req.headers["mcp-session-id"];
+    let session = sessionId ? sessions.get(sessionId) : null;
+
+    if (!session) {
+      if (sessionId) {
+        sendJsonRpcError(res, 404, "Session not found — reinitialize");
+        return;
+      }
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, "No session — send an initialize request first");
+        return;
+      }
+
+      const server = createServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        enableDnsRebindingProtection: true,
+        allowedHosts: [`${host}:${httpServer.address().port}`, `localhost:${httpServer.address().port}`],
+        onsessioninitialized: (id) => {
+          sessions.set(id, session);
+          session.id = id;
+          onSessionOpened(id, server);
+        },
+      });
+      transport.onclose = () => session.id && closeSession(session.id);
+      session = { id: null, server, transport, connectedAt: new Date().toISOString(), lastSeen: Date.now(), openRequests: 0 };
+      await server.connect(transport);
+    }
+
+    session.lastSeen = Date.now();
+    session.openRequests++;
+    res.on("close", () => {
+      session.openRequests--;
+      session.lastSeen = Date.now();
+    });
+    await session.transport.handleRequest(req, res, body);
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, session] of sessions) {
+      if (session.openRequests === 0 && session.lastSeen < cutoff) closeSession(id);
+    }
+  }, 60_000);
+  sweep.unref();
+
+  return {
+    port: httpServer.address().port,
+    host,
+
+    /** Connected sessions: [{ id, client, connectedAt }] */
+    sessions() {
+      return [...sessions.values()].map((s) => {
+        const info = s.server.server.getClientVersion();
+        return { id: s.id, client: info ? `${info.name} ${info.version}` : "unknown client", connectedAt: s.connectedAt };
+      });
+    },
+
+    async close() {
+      clearInterval(sweep);
+      for (const id of [...sessions.keys()]) closeSession(id);
+      await new Promise((resolve) => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    },
+  };
+}
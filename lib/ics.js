@@ -0,0 +1,239 @@
+/**
+ * Minimal iCalendar (.ics) reader: enough to find upcoming meetings in an
+ * exported calendar. Handles line folding, TZID/UTC/floating times, and
+ * DAILY/WEEKLY recurrence (INTERVAL, COUNT, UNTIL, BYDAY, EXDATE, and
+ * RECURRENCE-ID overrides). All-day events are skipped.
+ */
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 86_400_000;
+
+// Give up on runaway series instead of looping forever on a malformed RRULE
+const MAX_RECURRENCE_DAYS = 20_000;
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "DTSTART;TZID=Europe/Berlin:20240507T100000" → { name, params, value }
+function parseLine(line) {
+  let i = 0;
+  let inQuotes = false;
+  for (; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+// Offset (ms) of `timeZone` from UTC at instant `ms`
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23",
+      year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric",
+    }).formatToParts(new Date(ms)).map((p) => [p.type, Number(p.value)])
+  );
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ms;
+}
+
+/**
+ * Epoch ms for a wall-clock time. `tz` is "UTC", an IANA zone, or null for
+ * the machine's local time (floating times, and zones Intl doesn't know,
+ * such as Windows zone names).
+ */
+function wallToMs({ y, mo, d, h, mi, s }, tz) {
+  const asUtc = Date.UTC(y, mo - 1, d, h, mi, s);
+  if (tz === "UTC") return asUtc;
+  if (tz) {
+    try {
+      const first = asUtc - zoneOffset(asUtc, tz);
+      // Re-check across a DST change
+      return asUtc - zoneOffset(first, tz);
+    } catch {
+      // Unknown zone — treat as local time
+    }
+  }
+  return new Date(y, mo - 1, d, h, mi, s).getTime();
+}
+
+// "20240507T100000Z" → { wall, tz, allDay }
+function parseDateValue(value, params) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const wall = { y: +m[1], mo: +m[2], d: +m[3], h: +(m[4] ?? 0), mi: +(m[5] ?? 0), s: +(m[6] ?? 0) };
+  const allDay = params.VALUE === "DATE" || m[4] === undefined;
+  return { wall, tz: m[7] ? "UTC" : params.TZID ?? null, allDay };
+}
+
+function parseRrule(value) {
+  return Object.fromEntries(value.split(";").map((part) => {
+    const [k, v] = part.split("=");
+    return [k.toUpperCase(), v];
+  }));
+}
+
+/**
+ * Parse VEVENTs out of an .ics file.
+ *
+ * @param {string} text
+ * @returns {object[]} Raw events: { uid, summary, start, end, rrule, exdates, recurrenceId, text }
+ */
+export function parseIcs(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n").reduce((acc, line) => {
+    if (/^[ \t]/.test(line) && acc.length) acc[acc.length - 1] += line.slice(1);
+    else if (line) acc.push(line);
+    return acc;
+  }, []);
+
+  const events = [];
+  let event = null;
+  let nested = 0; // VALARM etc. inside a VEVENT
+  for (const line of lines) {
+    const { name, params, value } = parseLine(line);
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+      event = { uid: null, summary: "", start: null, end: null, rrule: null, exdates: [], recurrenceId: null, links: [] };
+      continue;
+    }
+    if (!event) continue;
+    if (name === "BEGIN") { nested++; continue; }
+    if (name === "END" && nested > 0) { nested--; continue; }
+    if (name === "END" && value.toUpperCase() === "VEVENT") {
+      events.push(event);
+      event = null;
+      continue;
+    }
+    if (nested > 0) continue;
+
+    switch (name) {
+      case "UID": event.uid = value; break;
+      case "SUMMARY": event.summary = unescapeText(value); break;
+      case "DTSTART": event.start = parseDateValue(value, params); break;
+      case "DTEND": event.end = parseDateValue(value, params); break;
+      case "RRULE": event.rrule = parseRrule(value); break;
+      case "RECURRENCE-ID": event.recurrenceId = parseDateValue(value, params); break;
+      case "EXDATE":
+        for (const v of value.split(",")) {
+          const d = parseDateValue(v, params);
+          if (d) event.exdates.push(wallToMs(d.wall, d.tz));
+        }
+        break;
+      case "STATUS": event.cancelled = value.toUpperCase() === "CANCELLED"; break;
+      case "URL":
+      case "LOCATION":
+      case "DESCRIPTION":
+      case "CONFERENCE":
+      case "X-GOOGLE-CONFERENCE":
+      case "X-MICROSOFT-SKYPETEAMSMEETINGURL":
+        event.links.push(unescapeText(value));
+        break;
+    }
+  }
+  return events;
+}
+
+function addDays(wall, n) {
+  const d = new Date(Date.UTC(wall.y, wall.mo - 1, wall.d + n));
+  return { ...wall, y: d.getUTCFullYear(), mo: d.getUTCMonth() + 1, d: d.getUTCDate() };
+}
+
+function dayNumber(wall) {
+  return Math.floor(Date.UTC(wall.y, wall.mo - 1, wall.d) / DAY_MS);
+}
+
+// Start times (epoch ms) of a recurring event, from DTSTART up to `to`
+function recurrenceStarts(event, to) {
+  const { rrule, start } = event;
+  const interval = Math.max(1, Number(rrule.INTERVAL) || 1);
+  const count = rrule.COUNT ? Number(rrule.COUNT) : Infinity;
+  const untilDate = rrule.UNTIL ? parseDateValue(rrule.UNTIL, {}) : null;
+  const until = untilDate ? wallToMs(untilDate.wall, untilDate.tz ?? start.tz) : Infinity;
+  const byDay = rrule.BYDAY ? rrule.BYDAY.split(",").map((d) => d.slice(-2)) : null;
+
+  const firstDay = dayNumber(start.wall);
+  // Weeks start on Monday (the RFC 5545 default WKST)
+  const firstWeek = Math.floor((firstDay + 3) / 7);
+
+  const starts = [];
+  let produced = 0;
+  for (let i = 0; i < MAX_RECURRENCE_DAYS && produced < count; i++) {
+    const wall = addDays(start.wall, i);
+    const ms = wallToMs(wall, start.tz);
+    if (ms > until || ms > to) break;
+    const weekday = WEEKDAYS[new Date(Date.UTC(wall.y, wall.mo - 1, wall.d)).getUTCDay()];
+
+    let matches;
+    if (rrule.FREQ === "DAILY") {
+      matches = i % interval === 0 && (!byDay || byDay.includes(weekday));
+    } else {
+      const week = Math.floor((firstDay + i + 3) / 7) - firstWeek;
+      matches = week % interval === 0 && (byDay ? byDay.includes(weekday) : i % 7 === 0);
+    }
+    if (!matches) continue;
+    produced++;
+    starts.push(ms);
+  }
+  return starts;
+}
+
+/**
+ * Concrete occurrences starting inside [from, to], soonest first.
+ *
+ * @param {object[]} events - From parseIcs
+ * @param {{ from: number, to: number }} window - Epoch ms
+ * @returns {{ occurrences: { uid, summary, start, links }[], unsupported: string[] }}
+ *   `unsupported` lists events whose recurrence rule couldn't be expanded
+ *   (only their first occurrence is considered).
+ */
+export function expandEvents(events, { from, to }) {
+  const overrides = new Map();
+  for (const e of events) {
+    if (e.recurrenceId && e.start) overrides.set(`${e.uid}@${wallToMs(e.recurrenceId.wall, e.recurrenceId.tz)}`, e);
+  }
+
+  const occurrences = [];
+  const unsupported = [];
+  for (const event of events) {
+    if (!event.start || event.start.allDay || event.recurrenceId) continue;
+
+    let starts = [wallToMs(event.start.wall, event.start.tz)];
+    if (event.rrule) {
+      if (event.rrule.FREQ === "DAILY" || event.rrule.FREQ === "WEEKLY") {
+        starts = recurrenceStarts(event, to);
+      } else {
+        unsupported.push(event.summary || event.uid);
+      }
+    }
+
+    for (const ms of starts) {
+      if (event.exdates.includes(ms)) continue;
+      const instance = overrides.get(`${event.uid}@${ms}`) ?? event;
+      if (instance.cancelled) continue;
+      const start = instance === event ? ms : wallToMs(instance.start.wall, instance.start.tz);
+      if (start < from || start > to) continue;
+      occurrences.push({
+        uid: event.uid,
+        summary: instance.summary || event.summary,
+        start,
+        links: instance.links.length ? instance.links : event.links,
+      });
+    }
+  }
+
+  // Overrides moved outside their series' own dates still count
+  for (const override of overrides.values()) {
+    const start = wallToMs(override.start.wall, override.start.tz);
+    const known = occurrences.some((o) => o.uid === override.uid && o.start === start);
+    if (!known && !override.cancelled && start >= from && start <= to) {
+      occurrences.push({ uid: override.uid, summary: override.summary, start, links: override.links });
+    }
+  }
+
+  return { occurrences: occurrences.sort((a, b) => a.start - b.start), unsupported };
+}
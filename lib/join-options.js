@@ -0,0 +1,151 @@
+/**
+ * Optional join_meeting settings: transcription provider and language, the
+ * chat message posted on joining, an avatar for the bot's video tile, and
+ * auto-leave rules. Turned into Recall bot fields in direct mode, or passed
+ * through to the Groupthink API as-is (with the avatar inlined) in hosted mode.
+ *
+ * Options: { transcription_provider, language, join_message, avatar_path,
+ *            leave_when_alone_minutes, waiting_room_timeout_minutes, max_duration_minutes }
+ */
+
+import { readFileSync, statSync } from "node:fs";
+import { resolve } from "node:path";
+import { isJpeg, MAX_IMAGE_BYTES } from "./media.js";
+
+// Recall's transcription providers, and how each takes a language
+const PROVIDER_LANGUAGE = {
+  deepgram: (language) => ({ language }),
+  assembly_ai: (language) => ({ language_code: language }),
+  speechmatics: (language) => ({ language }),
+  // The platform's own captions, in whatever language the meeting has them
+  meeting_captions: null,
+};
+
+export const TRANSCRIPTION_PROVIDERS = Object.keys(PROVIDER_LANGUAGE);
+
+export const DEFAULT_TRANSCRIPTION_PROVIDER = "deepgram";
+
+export function defaultJoinMessage(botName) {
+  return `👋 ${botName} has joined the meeting.`;
+}
+
+/**
+ * The chat message to post on joining, or null for none. An empty
+ * `join_message` turns it off.
+ */
+export function joinMessage(options, botName) {
+  if (options.join_message === undefined || options.join_message === null) return defaultJoinMessage(botName);
+  return options.join_message.trim() || null;
+}
+
+// Recall shows JPEG only
+function loadAvatar(path) {
+  const file = resolve(path);
+  let image;
+  try {
+    if (statSync(file).size > MAX_IMAGE_BYTES) {
+      return { error: `Avatar ${file} is over ${MAX_IMAGE_BYTES / 1024 / 1024} MB — use a smaller JPEG (1280×720 works best).` };
+    }
+    image = readFileSync(file);
+  } catch (err) {
+    return { error: `Can't read avatar ${file}: ${err.message}` };
+  }
+  if (!isJpeg(image)) {
+    return { error: `Avatar ${file} isn't a JPEG — the bot's video tile only takes JPEG images.` };
+  }
+  return { b64: image.toString("base64") };
+}
+
+function minutesToSeconds(minutes) {
+  return Math.round(minutes * 60);
+}
+
+/**
+ * Check the options without building anything (cheap; used when scheduling).
+ * Returns an error message, or null.
+ */
+export function validateJoinOptions(options) {
+  const provider = options.transcription_provider ?? DEFAULT_TRANSCRIPTION_PROVIDER;
+  if (!TRANSCRIPTION_PROVIDERS.includes(provider)) {
+    return `Unknown transcription provider "${provider}". Use one of: ${TRANSCRIPTION_PROVIDERS.join(", ")}.`;
+  }
+  if (options.language && !PROVIDER_LANGUAGE[provider]) {
+    return `${provider} uses the meeting platform's caption language — leave language unset or pick another provider.`;
+  }
+  return null;
+}
+
+/**
+ * Recall create-bot fields for these options: transcription_options, chat,
+ * automatic_video_output and automatic_leave. Returns { fields } or { error }.
+ *
+ * @param {object} options
+ * @param {string} botName
+ */
+export function recallJoinFields(options, botName) {
+  const invalid = validateJoinOptions(options);
+  if (invalid) return { error: invalid };
+
+  const provider = options.transcription_provider ?? DEFAULT_TRANSCRIPTION_PROVIDER;
+  const fields = { transcription_options: { provider } };
+  if (options.language) fields.transcription_options[provider] = PROVIDER_LANGUAGE[provider](options.language);
+
+  const message = joinMessage(options, botName);
+  if (message) fields.chat = { on_bot_join: { send_to: "everyone", message } };
+
+  if (options.avatar_path) {
+    const avatar = loadAvatar(options.avatar_path);
+    if (avatar.error) return { error: avatar.error };
+    const image = { kind: "jpeg", b64_data: avatar.b64 };
+    fields.automatic_video_output = { in_call_recording: image, in_call_not_recording: image };
+  }
+
+  const leave = {};
+  if (options.leave_when_alone_minutes !== undefined) {
+    leave.everyone_left_timeout = minutesToSeconds(options.leave_when_alone_minutes);
+    leave.noone_joined_timeout = minutesToSeconds(options.leave_when_alone_minutes);
+  }
+  if (options.waiting_room_timeout_minutes !== undefined) {
+    leave.waiting_room_timeout = minutesToSeconds(options.waiting_room_timeout_minutes);
+  }
+  if (options.max_duration_minutes !== undefined) {
+    leave.in_call_recording_timeout = minutesToSeconds(options.max_duration_minutes);
+  }
+  if (Object.keys(leave).length) fields.automatic_leave = leave;
+
+  return { fields };
+}
+
+/**
+ * Fields for the Groupthink API's create-bot call: the options under their
+ * own names, with the avatar read and sent inline. Returns { fields } or { error }.
+ *
+ * @param {object} options
+ */
+export function groupthinkJoinFields(options) {
+  const invalid = validateJoinOptions(options);
+  if (invalid) return { error: invalid };
+
+  const { avatar_path, ...rest } = options;
+  const fields = Object.fromEntries(Object.entries(rest).filter(([, v]) => v !== undefined));
+  if (avatar_path) {
+    const avatar = loadAvatar(avatar_path);
+    if (avatar.error) return { error: avatar.error };
+    fields.avatar_jpeg_b64 = avatar.b64;
+  }
+  return { fields };
+}
+
+/** One-line summary of the non-default options, for join confirmations. */
+export function describeJoinOptions(options) {
+  const parts = [];
+  if (options.transcription_provider || options.language) {
+    parts.push(`transcription: ${options.transcription_provider ?? DEFAULT_TRANSCRIPTION_PROVIDER}${options.language ? ` (${options.language})` : ""}`);
+  }
+  if (options.join_message !== undefined) parts.push(options.join_message.trim() ? "custom join message" : "no join message");
+  if (options.avatar_path) parts.push("avatar");
+  if (options.leave_when_alone_minutes !== undefined) parts.push(`leaves after ${options.leave_when_alone_minutes} min alone`);
+  if (options.waiting_room_timeout_minutes !== undefined) parts.push(`gives up after ${options.waiting_room_timeout_minutes} min in the waiting room`);
+  if (options.max_duration_minutes !== undefined) parts.push(`leaves after ${options.max_duration_minutes} min at most`);
+  return parts.join(", ");
+}
@@ -0,0 +1,165 @@
+/**
+ * Where each bot is in its meeting: joining, in the waiting room, in the
+ * call, recording, or gone. A monitor polls every active bot's status in the
+ * background and reports each transition, so bots that were kicked or whose
+ * call ended can be cleaned up. Status codes are Recall's; the Groupthink API
+ * uses the same ones.
+ *
+ * State: { phase, code, subCode, reason, name, since, checkedAt, error,
+ *          history: [{ phase, code, at }] }
+ */
+
+// Recall status codes after which a bot is gone for good
+export const FINISHED_STATUSES = new Set(["call_ended", "done", "fatal", "analysis_done", "analysis_failed", "media_expired"]);
+
+const PHASE_BY_CODE = {
+  ready: "joining",
+  joining_call: "joining",
+  in_waiting_room: "waiting_room",
+  in_call_not_recording: "in_call",
+  recording_permission_allowed: "in_call",
+  recording_permission_denied: "in_call",
+  in_call_recording: "recording",
+};
+
+export const PHASE_LABELS = {
+  joining: "joining",
+  waiting_room: "in the waiting room",
+  in_call: "in the call, not recording yet",
+  recording: "in the call and recording",
+  ended: "out of the meeting",
+};
+
+// Why a bot's call ended, by Recall sub_code
+const END_REASONS = {
+  call_ended_by_host: "the host ended the meeting",
+  call_ended_by_platform_idle: "the platform ended the meeting for inactivity",
+  call_ended_by_platform_max_length: "the meeting hit the platform's length limit",
+  call_ended_by_platform_waiting_room_timeout: "the platform dropped it from the waiting room",
+  bot_kicked_from_call: "it was removed from the call",
+  bot_kicked_from_waiting_room: "it was turned away from the waiting room",
+  timeout_exceeded_waiting_room: "nobody admitted it from the waiting room in time",
+  timeout_exceeded_noone_joined: "nobody else joined",
+  timeout_exceeded_everyone_left: "everyone else left",
+  timeout_exceeded_in_call_recording: "it reached its maximum duration",
+  timeout_exceeded_recording_permission_denied: "the host never allowed it to record",
+  bot_received_leave_call: "it was told to leave",
+  meeting_not_found: "the meeting doesn't exist",
+  meeting_not_started: "the meeting hadn't started",
+  meeting_password_incorrect: "the passcode was wrong",
+  meeting_requires_registration: "the meeting requires registration",
+  meeting_requires_sign_in: "the meeting requires signing in",
+  meeting_link_expired: "the meeting link has expired",
+  meeting_link_invalid: "the meeting link is invalid",
+};
+
+const HISTORY_LENGTH = 20;
+
+export const DEFAULT_MONITOR_INTERVAL_MS = 15_000;
+
+/**
+ * @param {string} code - Latest status code
+ * @param {string|null} [subCode] - Its sub_code, which says why a call ended
+ * @returns {{ phase: string, reason: string|null }} `reason` is set once the bot is gone
+ */
+export function classifyStatus(code, subCode = null) {
+  if (FINISHED_STATUSES.has(code)) {
+    let reason = END_REASONS[subCode];
+    if (!reason) {
+      if (code === "fatal") reason = `it hit an error${subCode ? ` (${subCode})` : ""}`;
+      else reason = subCode ? subCode.replaceAll("_", " ") : "the call ended";
+    }
+    return { phase: "ended", reason };
+  }
+  return { phase: PHASE_BY_CODE[code] ?? "joining", reason: null };
+}
+
+/**
+ * @param {object} options
+ * @param {(botId: string) => Promise<{ code?: string, subCode?: string|null, name?: string, error?: string, status?: number }>} options.fetchStatus
+ * @param {() => string[]} options.botIds - The bots to watch on each poll
+ * @param {(botId: string, state: object, previous: object|null) => void|Promise<void>} [options.onChange] - Called on
+ *   every status change; check() waits for it
+ * @param {number} [options.intervalMs]
+ */
+export function createLifecycleMonitor({ fetchStatus, botIds, onChange = () => {}, intervalMs = DEFAULT_MONITOR_INTERVAL_MS }) {
+  const states = new Map();
+  let timer = null;
+  let polling = false;
+
+  // Fetch one bot's status and record it. Returns the bot's state, or null
+  // if its status has never been readable.
+  async function check(botId) {
+    const { code, subCode = null, name, error, status } = await fetchStatus(botId);
+    // Read after the fetch: a concurrent check may have recorded this change already
+    const previous = states.get(botId) ?? null;
+    const now = new Date().toISOString();
+
+    let next;
+    if (error && status === 404) {
+      next = { phase: "ended", code: "not_found", subCode: null, reason: "the API no longer knows this bot", name: previous?.name ?? null };
+    } else if (error) {
+      if (previous) Object.assign(previous, { error, checkedAt: now });
+      return previous;
+    } else {
+      next = { code, subCode, name: name ?? previous?.name ?? null, ...classifyStatus(code, subCode) };
+    }
+
+    if (previous && previous.code === next.code && previous.subCode === next.subCode) {
+      Object.assign(previous, { error: null, checkedAt: now });
+      return previous;
+    }
+
+    const history = [...(previous?.history ?? []), { phase: next.phase, code: next.code, at: now }].slice(-HISTORY_LENGTH);
+    const state = { ...next, since: now, checkedAt: now, error: null, history };
+    states.set(botId, state);
+    try {
+      await onChange(botId, state, previous);
+    } catch (err) {
+      console.error(`Lifecycle handler failed for bot ${botId}: ${err.message}`);
+    }
+    return state;
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      for (const botId of botIds()) {
+        await check(botId).catch(() => {});
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    check,
+
+    /** Last known state, kept after the bot is gone so its end can still be reported. */
+    state(botId) {
+      return states.get(botId) ?? null;
+    },
+
+    /** How many of the given bots are in each phase; "unknown" for bots not checked yet. */
+    counts(ids = botIds()) {
+      const counts = {};
+      for (const botId of ids) {
+        const phase = states.get(botId)?.phase ?? "unknown";
+        counts[phase] = (counts[phase] || 0) + 1;
+      }
+      return counts;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(poll, intervalMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+}
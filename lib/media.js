@@ -0,0 +1,116 @@
+/**
+ * Images and audio files for the bot's camera and speaker. Input is a file
+ * path or base64 (optionally a data: URL). Recall only takes JPEG video frames
+ * and MP3 audio, so PNG/GIF/WebP images and WAV files go through ffmpeg.
+ */
+
+import { readFileSync, statSync } from "node:fs";
+import { basename, resolve } from "node:path";
+import { runProcess, wavToMp3 } from "./tts/process.js";
+import { mp3Duration } from "./mp3.js";
+
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+export const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+const CONVERT_TIMEOUT_MS = 30_000;
+
+export function isJpeg(buf) {
+  return buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff;
+}
+
+function imageFormat(buf) {
+  if (isJpeg(buf)) return "jpeg";
+  if (buf.length > 8 && buf.toString("latin1", 1, 4) === "PNG") return "png";
+  if (buf.length > 6 && buf.toString("latin1", 0, 3) === "GIF") return "gif";
+  if (buf.length > 12 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") return "webp";
+  return null;
+}
+
+function isWav(buf) {
+  return buf.length > 12 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WAVE";
+}
+
+// A path if it names an existing file, otherwise base64. Returns { buf, name } or { error }.
+function readInput(input, maxBytes) {
+  const trimmed = input.trim();
+  const dataUrl = trimmed.match(/^data:[\w/+.-]+;base64,(.*)$/s);
+  if (!dataUrl) {
+    const file = resolve(trimmed);
+    let size = null;
+    try {
+      size = statSync(file).size;
+    } catch {
+      // Not a file — try it as base64 below
+    }
+    if (size !== null) {
+      if (size > maxBytes) return { error: `${file} is over ${maxBytes / 1024 / 1024} MB.` };
+      try {
+        return { buf: readFileSync(file), name: basename(file) };
+      } catch (err) {
+        return { error: `Can't read ${file}: ${err.message}` };
+      }
+    }
+  }
+
+  const b64 = (dataUrl ? dataUrl[1] : trimmed).replace(/\s+/g, "");
+  if (b64.length < 16 || !/^[A-Za-z0-9+/_-]+=*$/.test(b64)) {
+    return { error: `No such file: ${resolve(trimmed)}` };
+  }
+  const buf = Buffer.from(b64, "base64");
+  if (buf.length > maxBytes) return { error: `The data is over ${maxBytes / 1024 / 1024} MB.` };
+  return { buf, name: null };
+}
+
+/**
+ * Load an image as JPEG for the bot's video tile. Returns { jpeg, name } or { error }.
+ *
+ * @param {string} input - File path, base64, or data: URL
+ * @param {object} [opts]
+ * @param {string} [opts.ffmpeg] - ffmpeg binary, for non-JPEG images
+ */
+export async function loadImage(input, { ffmpeg = "ffmpeg" } = {}) {
+  const { buf, name, error } = readInput(input, MAX_IMAGE_BYTES);
+  if (error) return { error };
+
+  const format = imageFormat(buf);
+  if (format === "jpeg") return { jpeg: buf, name };
+  if (!format) return { error: "That isn't a JPEG, PNG, GIF or WebP image." };
+
+  try {
+    const jpeg = await runProcess(
+      ffmpeg,
+      ["-hide_banner", "-loglevel", "error", "-i", "pipe:0", "-frames:v", "1", "-q:v", "3", "-f", "image2pipe", "-c:v", "mjpeg", "pipe:1"],
+      { input: buf, timeoutMs: CONVERT_TIMEOUT_MS }
+    );
+    if (jpeg.length > MAX_IMAGE_BYTES) return { error: `The image is over ${MAX_IMAGE_BYTES / 1024 / 1024} MB as JPEG.` };
+    return { jpeg, name };
+  } catch (err) {
+    return { error: `Can't convert the ${format.toUpperCase()} image to JPEG (the bot's camera only takes JPEG): ${err.message}` };
+  }
+}
+
+/**
+ * Load an MP3 or WAV file as MP3. Returns { mp3, name, duration } or { error };
+ * `duration` is in seconds, or null if no MP3 frames were found.
+ *
+ * @param {string} path
+ * @param {object} [opts]
+ * @param {string} [opts.ffmpeg] - ffmpeg binary, for WAV files
+ */
+export async function loadAudio(path, { ffmpeg = "ffmpeg" } = {}) {
+  const { buf, name, error } = readInput(path, MAX_AUDIO_BYTES);
+  if (error) return { error };
+
+  if (isWav(buf)) {
+    try {
+      const mp3 = await wavToMp3(buf, { ffmpeg, timeoutMs: CONVERT_TIMEOUT_MS });
+      return { mp3, name, duration: mp3Duration(mp3) };
+    } catch (err) {
+      return { error: `Can't convert the WAV file to MP3 (meetings only take MP3 audio): ${err.message}` };
+    }
+  }
+
+  const duration = mp3Duration(buf);
+  if (duration === null) return { error: "That isn't an MP3 or WAV file." };
+  return { mp3: buf, name, duration };
+}
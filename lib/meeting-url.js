@@ -0,0 +1,137 @@
+/**
+ * Meeting link parsing. Recognizes Google Meet, Zoom, Microsoft Teams and
+ * Webex links (plus bare Meet codes and Zoom meeting IDs) and normalizes them
+ * to a URL the bot can join.
+ *
+ * Platform IDs match Recall's `meeting_url.platform` values.
+ */
+
+export const PLATFORM_LABELS = {
+  google_meet: "Google Meet",
+  zoom: "Zoom",
+  microsoft_teams: "Microsoft Teams",
+  webex: "Webex",
+};
+
+const MEET_CODE = /^[a-z]{3}-[a-z]{4}-[a-z]{3}$/;
+
+// "123 4567 8901", "123-4567-8901" or "12345678901" — Zoom IDs are 9–11 digits
+const ZOOM_ID = /^\d{3}[\s-]?\d{3,4}[\s-]?\d{3,4}$/;
+
+// Passcode given after the ID: "… pwd=abc", "… passcode: abc", "… password abc"
+const ZOOM_PASSCODE = /\s*(?:\?|\s)(?:pwd|passcode|password)\s*[:=]?\s*(\S+)\s*$/i;
+
+export const SUPPORTED_FORMATS =
+  "Google Meet (https://meet.google.com/abc-defg-hij or abc-defg-hij), " +
+  "Zoom (https://zoom.us/j/12345678901?pwd=… or a meeting ID like 123 4567 8901, optionally followed by \"passcode …\"), " +
+  "Microsoft Teams (https://teams.microsoft.com/l/meetup-join/… or https://teams.live.com/meet/…), " +
+  "Webex (https://<site>.webex.com/meet/… or …/j.php?MTID=…)";
+
+function zoomUrl(id, passcode) {
+  const url = new URL(`https://zoom.us/j/${id}`);
+  if (passcode) url.searchParams.set("pwd", passcode);
+  return url.toString();
+}
+
+function detect(url, passcode) {
+  const host = url.hostname.toLowerCase();
+  const path = url.pathname;
+
+  if (host === "meet.google.com") {
+    const code = path.slice(1).split("/")[0].toLowerCase();
+    if (!MEET_CODE.test(code)) return { error: `"${code || path}" isn't a Google Meet code — they look like abc-defg-hij.` };
+    return { platform: "google_meet", meetingId: code, url: `https://meet.google.com/${code}` };
+  }
+
+  if (host === "zoom.us" || host.endsWith(".zoom.us") || host === "zoomgov.com" || host.endsWith(".zoomgov.com")) {
+    const match = path.match(/^\/(?:j|w|s|wc\/join|wc)\/(\d{9,11})/);
+    if (match) {
+      if (passcode && !url.searchParams.has("pwd")) url.searchParams.set("pwd", passcode);
+      return { platform: "zoom", meetingId: match[1], url: url.toString() };
+    }
+    if (/^\/my\/[\w.-]+/.test(path)) return { platform: "zoom", meetingId: path.split("/")[2], url: url.toString() };
+    return { error: `That Zoom link has no meeting ID — expected something like https://zoom.us/j/12345678901.` };
+  }
+
+  if (host === "teams.microsoft.com" || host === "teams.live.com" || host === "gov.teams.microsoft.us") {
+    if (path.startsWith("/l/meetup-join/")) {
+      const threadId = decodeURIComponent(path.split("/")[3] || "");
+      return { platform: "microsoft_teams", meetingId: threadId || null, url: url.toString() };
+    }
+    const match = path.match(/^\/meet\/(\d+)/);
+    if (match) return { platform: "microsoft_teams", meetingId: match[1], url: url.toString() };
+    return { error: `That Teams link isn't a meeting join link — copy the "Join the meeting now" link (…/l/meetup-join/… or …/meet/…).` };
+  }
+
+  if (host.endsWith(".webex.com")) {
+    const mtid = url.searchParams.get("MTID");
+    if (/\/j\.php$/.test(path) && mtid) return { platform: "webex", meetingId: mtid, url: url.toString() };
+    const match = path.match(/\/(?:meet|join)\/([\w.-]+)/) || path.match(/^\/wbxmjs\/joinservice\/.*\/(\d+)/);
+    if (match) return { platform: "webex", meetingId: match[1], url: url.toString() };
+    return { error: `That Webex link isn't a meeting link — expected https://<site>.webex.com/meet/<name> or …/j.php?MTID=….` };
+  }
+
+  return { error: `${host} isn't a supported meeting platform. Supported: ${SUPPORTED_FORMATS}.` };
+}
+
+/**
+ * Parse a meeting link, Meet code or Zoom ID.
+ *
+ * @param {string} input
+ * @param {object} [options]
+ * @param {string} [options.passcode] - Zoom passcode, if not already in the link
+ * @returns {{ platform: string, label: string, meetingId: string|null, url: string } | { error: string }}
+ */
+export function parseMeetingUrl(input, { passcode } = {}) {
+  const raw = String(input ?? "").trim();
+  if (!raw) return { error: `No meeting link given. Supported: ${SUPPORTED_FORMATS}.` };
+
+  let result;
+  if (MEET_CODE.test(raw.toLowerCase())) {
+    const code = raw.toLowerCase();
+    result = { platform: "google_meet", meetingId: code, url: `https://meet.google.com/${code}` };
+  } else if (/^(https?:\/\/|[\w-]+\.)/i.test(raw) && !ZOOM_ID.test(raw.replace(ZOOM_PASSCODE, ""))) {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch {
+      return { error: `"${raw}" isn't a valid link. Supported: ${SUPPORTED_FORMATS}.` };
+    }
+    result = detect(url, passcode);
+  } else {
+    const inlinePasscode = raw.match(ZOOM_PASSCODE)?.[1];
+    const id = raw.replace(ZOOM_PASSCODE, "");
+    if (!ZOOM_ID.test(id)) {
+      return { error: `Couldn't tell which meeting "${raw}" is. Supported: ${SUPPORTED_FORMATS}.` };
+    }
+    const digits = id.replace(/\D/g, "");
+    result = { platform: "zoom", meetingId: digits, url: zoomUrl(digits, passcode || inlinePasscode) };
+  }
+
+  if (result.error) return result;
+  return { ...result, label: PLATFORM_LABELS[result.platform] };
+}
+
+/**
+ * Best-effort platform label for a stored meeting link or a Recall
+ * `meeting_url` object. Returns null when it can't be told.
+ */
+export function platformLabel(meetingUrl) {
+  if (meetingUrl && typeof meetingUrl === "object") return PLATFORM_LABELS[meetingUrl.platform] ?? meetingUrl.platform ?? null;
+  const parsed = parseMeetingUrl(meetingUrl);
+  return parsed.error ? null : parsed.label;
+}
+
+/**
+ * First supported meeting link in free text (a calendar description, an
+ * invite body, ...). Returns the parsed link, or null.
+ *
+ * @param {string} text
+ */
+export function findMeetingLink(text) {
+  for (const candidate of String(text ?? "").match(/https?:\/\/[^\s<>"'\\)\]]+/gi) ?? []) {
+    const parsed = parseMeetingUrl(candidate.replace(/[.,;]+$/, ""));
+    if (!parsed.error) return parsed;
+  }
+  return null;
+}
@@ -0,0 +1,93 @@
+/**
+ * MP3 duration by walking frame headers — no decoding, works for CBR and VBR.
+ */
+
+// Bitrates in kbps, indexed by [version group][layer][index]. Group 0 is
+// MPEG-1, group 1 is MPEG-2 and 2.5. Layers are 1-3.
+const BITRATES = [
+  [
+    null,
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  ],
+  [
+    null,
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  ],
+];
+
+// Sample rates in Hz, indexed by version bits (0 = 2.5, 2 = MPEG-2, 3 = MPEG-1)
+const SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000],
+};
+
+function parseFrameHeader(buf, offset) {
+  if (offset + 4 > buf.length) return null;
+  if (buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buf[offset + 1] >> 3) & 0x03;
+  const layerBits = (buf[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buf[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buf[offset + 2] >> 2) & 0x03;
+  const padding = (buf[offset + 2] >> 1) & 0x01;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const isMpeg1 = versionBits === 3;
+  const bitrate = BITRATES[isMpeg1 ? 0 : 1][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && !isMpeg1 ? 576 : 1152;
+    length = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+  }
+
+  return { samples, sampleRate, length };
+}
+
+// Size of a leading ID3v2 tag, or 0
+function id3v2Size(buf) {
+  if (buf.length < 10 || buf.toString("latin1", 0, 3) !== "ID3") return 0;
+  const size = (buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9];
+  const hasFooter = (buf[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Playback length of an MP3 buffer in seconds, or null if no frames were found.
+ *
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+export function mp3Duration(buf) {
+  let offset = id3v2Size(buf);
+  let seconds = 0;
+  let frames = 0;
+
+  while (offset < buf.length) {
+    const frame = parseFrameHeader(buf, offset);
+    if (!frame || frame.length <= 0) {
+      // Resync: skip junk until the next plausible frame header
+      offset++;
+      continue;
+    }
+    seconds += frame.samples / frame.sampleRate;
+    frames++;
+    offset += frame.length;
+  }
+
+  return frames > 0 ? seconds : null;
+}
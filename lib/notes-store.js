@@ -0,0 +1,145 @@
+/**
+ * Versioned meeting notes for self-hosted mode. Every save_notes call adds a
+ * version holding the full notes as they stood after that save, so earlier
+ * versions can be read back or diffed.
+ *
+ * File format (<dir>/<botId>.json):
+ *   { version: 1, versions: [{ version, saved_at, mode, notes }] }
+ * where `notes` is { summary, action_items, key_topics, sentiment, raw_notes }.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync } from "node:fs";
+import { join } from "node:path";
+
+const NOTE_FIELDS = ["summary", "action_items", "key_topics", "sentiment", "raw_notes"];
+
+function pickNotes(source) {
+  return {
+    summary: source.summary ?? "",
+    action_items: source.action_items ?? [],
+    key_topics: source.key_topics ?? [],
+    sentiment: source.sentiment || "neutral",
+    raw_notes: source.raw_notes ?? "",
+  };
+}
+
+/**
+ * All saved versions for a bot, oldest first. `legacyDir` is checked when
+ * `dir` has nothing: files there hold a single unversioned notes object, which
+ * becomes version 1.
+ *
+ * @param {string} dir
+ * @param {string} botId
+ * @param {string} [legacyDir]
+ */
+export function loadNoteVersions(dir, botId, legacyDir) {
+  try {
+    const data = JSON.parse(readFileSync(join(dir, `${botId}.json`), "utf-8"));
+    return Array.isArray(data.versions) ? data.versions : [];
+  } catch {
+    // fall through to the legacy location
+  }
+  if (!legacyDir) return [];
+  try {
+    const legacy = JSON.parse(readFileSync(join(legacyDir, `${botId}.json`), "utf-8"));
+    return [{ version: 1, saved_at: legacy.updated_at ?? null, mode: "replace", notes: pickNotes(legacy) }];
+  } catch {
+    return [];
+  }
+}
+
+// Case- and whitespace-insensitive, so "Ship v2" and "ship  v2 " count as one item
+function itemKey(item) {
+  return item.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function dedupe(items) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = itemKey(item);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Fold `update` into `previous`: list fields are appended and de-duplicated,
+ * raw notes are appended, and summary/sentiment are replaced when given.
+ */
+export function mergeNotes(previous, update) {
+  const rawNotes = [previous.raw_notes, update.raw_notes]
+    .filter((text, i, all) => text && (i === 0 || text !== all[0]))
+    .join("\n\n");
+  return {
+    summary: update.summary || previous.summary,
+    action_items: dedupe([...previous.action_items, ...update.action_items]),
+    key_topics: dedupe([...previous.key_topics, ...update.key_topics]),
+    sentiment: update.sentiment || previous.sentiment,
+    raw_notes: rawNotes,
+  };
+}
+
+/**
+ * Add a version and write the file. With `merge`, the new version is the
+ * previous one merged with `notes`; otherwise `notes` replaces it.
+ * Returns the new version entry.
+ *
+ * @param {string} dir
+ * @param {string} botId
+ * @param {object} notes
+ * @param {object} [options]
+ * @param {boolean} [options.merge]
+ * @param {string} [options.legacyDir]
+ */
+export function saveNoteVersion(dir, botId, notes, { merge = false, legacyDir } = {}) {
+  const versions = loadNoteVersions(dir, botId, legacyDir);
+  const previous = versions[versions.length - 1];
+  const entry = {
+    version: (previous?.version ?? 0) + 1,
+    saved_at: new Date().toISOString(),
+    mode: merge ? "merge" : "replace",
+    notes: merge && previous
+      ? mergeNotes(previous.notes, { action_items: [], key_topics: [], ...notes })
+      : pickNotes(notes),
+  };
+  versions.push(entry);
+
+  // Temp file + rename, as in bot-store.js, so a crash can't lose history
+  mkdirSync(dir, { recursive: true });
+  const path = join(dir, `${botId}.json`);
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ version: 1, versions }, null, 2));
+  renameSync(tmp, path);
+  return entry;
+}
+
+function listDiff(from, to) {
+  const fromKeys = new Set(from.map(itemKey));
+  const toKeys = new Set(to.map(itemKey));
+  return {
+    added: to.filter((item) => !fromKeys.has(itemKey(item))),
+    removed: from.filter((item) => !toKeys.has(itemKey(item))),
+  };
+}
+
+/**
+ * What changed between two versions. Only fields that differ are included.
+ *
+ * @param {{ version: number, notes: object }} from
+ * @param {{ version: number, notes: object }} to
+ */
+export function diffNotes(from, to) {
+  const changes = {};
+  for (const field of NOTE_FIELDS) {
+    const a = from.notes[field];
+    const b = to.notes[field];
+    if (Array.isArray(a)) {
+      const diff = listDiff(a, b);
+      if (diff.added.length || diff.removed.length) changes[field] = diff;
+    } else if (a !== b) {
+      changes[field] = { from: a, to: b };
+    }
+  }
+  return { from_version: from.version, to_version: to.version, changes };
+}
@@ -0,0 +1,52 @@
+/**
+ * Who's in the meeting, from the platform's participant list rather than the
+ * transcript (people who never speak are included). Input is Recall's
+ * `meeting_participants` shape:
+ *   [{ id, name, is_host, events: [{ code: "join"|"leave", created_at }] }]
+ */
+
+/**
+ * @param {object[]} participants
+ * @param {object} [options]
+ * @param {(p: object) => boolean} [options.exclude] - Leave a participant out (the bot itself)
+ * @returns {{
+ *   present: { id, name, isHost: boolean, joinedAt: string|null, rejoined: boolean }[],
+ *   left: { id, name, isHost: boolean, joinedAt: string|null, leftAt: string|null }[],
+ *   host: string|null,
+ *   events: { at: string, name: string, code: "join"|"leave" }[],
+ * }}
+ */
+export function buildRoster(participants, { exclude = () => false } = {}) {
+  const present = [];
+  const left = [];
+  const events = [];
+
+  for (const p of participants) {
+    if (exclude(p)) continue;
+    const name = p.name || "Unknown";
+    const own = (p.events || [])
+      .filter((e) => e.code === "join" || e.code === "leave")
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    for (const e of own) events.push({ at: e.created_at, name, code: e.code });
+
+    const joins = own.filter((e) => e.code === "join");
+    const last = own[own.length - 1];
+    const joinedAt = joins[joins.length - 1]?.created_at ?? p.joined_at ?? null;
+    const base = { id: p.id ?? null, name, isHost: Boolean(p.is_host), joinedAt };
+
+    // No events at all (some platforms, or the hosted API): listed means present
+    if (last?.code === "leave" || (!last && p.left_at)) {
+      left.push({ ...base, leftAt: last?.created_at ?? p.left_at });
+    } else {
+      present.push({ ...base, rejoined: joins.length > 1 });
+    }
+  }
+
+  const byJoin = (a, b) => (a.joinedAt ?? "").localeCompare(b.joinedAt ?? "");
+  present.sort(byJoin);
+  left.sort((a, b) => (a.leftAt ?? "").localeCompare(b.leftAt ?? ""));
+  events.sort((a, b) => a.at.localeCompare(b.at));
+
+  const host = present.find((p) => p.isHost) ?? left.find((p) => p.isHost);
+  return { present, left, host: host?.name ?? null, events };
+}
@@ -0,0 +1,183 @@
+/**
+ * Scheduled joins. Entries are kept in a JSON file so they survive restarts;
+ * while the server runs, a timer creates each bot when its time comes.
+ *
+ * Entry: { id, meeting_url, bot_name, passcode, join_at, title, source, uid,
+ *          options (join_meeting's optional settings),
+ *          status: "pending"|"joined"|"failed"|"missed"|"cancelled",
+ *          bot_id, error, updated_at }
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync } from "node:fs";
+import { dirname } from "node:path";
+import { randomUUID } from "node:crypto";
+
+// A join that comes due while the server is down still happens if it restarts within this window
+export const LATE_JOIN_GRACE_MS = 15 * 60_000;
+
+// Finished entries are listed for a while, then pruned from the file
+const HISTORY_MS = 7 * 24 * 3_600_000;
+
+// setTimeout can't wait longer than ~24.8 days; re-arm at least hourly instead
+const MAX_TIMER_MS = 3_600_000;
+
+function load(path) {
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(data.scheduled) ? data.scheduled : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.path - JSON file the schedule is kept in
+ * @param {(entry: object) => Promise<{ botId?: string, error?: string }>} options.join - Creates the bot
+ * @param {(entry: object) => void} [options.onSettled] - Called after each scheduled join runs
+ */
+export function createScheduler({ path, join, onSettled = () => {} }) {
+  let entries = load(path);
+  let timer = null;
+  let running = false;
+
+  function save() {
+    const cutoff = Date.now() - HISTORY_MS;
+    entries = entries.filter((e) => e.status === "pending" || Date.parse(e.updated_at) > cutoff);
+    mkdirSync(dirname(path), { recursive: true });
+    const tmp = `${path}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify({ version: 1, scheduled: entries }, null, 2));
+    renameSync(tmp, path);
+  }
+
+  function settle(entry, fields) {
+    Object.assign(entry, fields, { updated_at: new Date().toISOString() });
+  }
+
+  async function runDue() {
+    timer = null;
+    // A timer re-armed by add() mustn't start the same joins a second time
+    if (running) return;
+    running = true;
+    const now = Date.now();
+    const due = entries.filter((e) => e.status === "pending" && Date.parse(e.join_at) <= now);
+    for (const entry of due) {
+      if (now - Date.parse(entry.join_at) > LATE_JOIN_GRACE_MS) {
+        settle(entry, { status: "missed", error: "The server wasn't running when this meeting started." });
+      } else {
+        try {
+          const { botId, error } = await join(entry);
+          settle(entry, error ? { status: "failed", error } : { status: "joined", bot_id: botId });
+        } catch (err) {
+          settle(entry, { status: "failed", error: err.message });
+        }
+      }
+      onSettled(entry);
+    }
+    if (due.length) {
+      try {
+        save();
+      } catch (err) {
+        console.error(`Failed to save schedule to ${path}: ${err.message}`);
+      }
+    }
+    running = false;
+    arm();
+  }
+
+  function arm() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const next = entries
+      .filter((e) => e.status === "pending")
+      .reduce((min, e) => Math.min(min, Date.parse(e.join_at)), Infinity);
+    if (next === Infinity) return;
+    timer = setTimeout(runDue, Math.min(MAX_TIMER_MS, Math.max(0, next - Date.now())));
+    timer.unref?.();
+  }
+
+  return {
+    /** Arm the timer; overdue entries from a previous run are joined or marked missed. */
+    start() {
+      arm();
+    },
+
+    /**
+     * Schedule a join. If an entry with the same `uid` (calendar event) and
+     * time is already pending, that entry is returned and `duplicate` is set.
+     */
+    add({ meetingUrl, botName, passcode = null, joinAt, title = null, source = "manual", uid = null, options = {} }) {
+      const join_at = new Date(joinAt).toISOString();
+      if (uid) {
+        const existing = entries.find((e) => e.uid === uid && e.join_at === join_at && e.status === "pending");
+        if (existing) return { entry: existing, duplicate: true };
+      }
+      const entry = {
+        id: randomUUID().slice(0, 8),
+        meeting_url: meetingUrl,
+        bot_name: botName,
+        passcode,
+        join_at,
+        title,
+        source,
+        uid,
+        options,
+        status: "pending",
+        bot_id: null,
+        error: null,
+        updated_at: new Date().toISOString(),
+      };
+      entries.push(entry);
+      save();
+      arm();
+      return { entry, duplicate: false };
+    },
+
+    /** Pending entries soonest first, then finished ones newest first. */
+    list({ includeFinished = false } = {}) {
+      const pending = entries.filter((e) => e.status === "pending").sort((a, b) => a.join_at.localeCompare(b.join_at));
+      if (!includeFinished) return pending;
+      const finished = entries.filter((e) => e.status !== "pending").sort((a, b) => b.join_at.localeCompare(a.join_at));
+      return [...pending, ...finished];
+    },
+
+    /** Cancel a pending entry. Returns it, or null if there's no pending entry with that ID. */
+    cancel(id) {
+      const entry = entries.find((e) => e.id === id && e.status === "pending");
+      if (!entry) return null;
+      settle(entry, { status: "cancelled" });
+      save();
+      arm();
+      return entry;
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+/**
+ * Parse a join time: an ISO date-time ("2024-05-07T10:00:00+02:00"; without
+ * an offset it's local time) or a bare "HH:MM", meaning the next time the
+ * local clock shows it. Returns epoch ms, or null if unparseable.
+ *
+ * @param {string} value
+ * @param {number} [now]
+ */
+export function parseJoinAt(value, now = Date.now()) {
+  const text = String(value ?? "").trim();
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const [h, m] = [Number(clock[1]), Number(clock[2])];
+    if (h > 23 || m > 59) return null;
+    const at = new Date(now);
+    at.setHours(h, m, 0, 0);
+    if (at.getTime() <= now) at.setDate(at.getDate() + 1);
+    return at.getTime();
+  }
+  if (!/^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}/.test(text)) return null;
+  const ms = Date.parse(text);
+  return Number.isNaN(ms) ? null : ms;
+}
@@ -0,0 +1,48 @@
+/**
+ * Split speech into sentence-sized chunks so long utterances can be
+ * synthesized, queued and interrupted one piece at a time.
+ */
+
+const SENTENCE_END = /(?<=[.!?…])\s+/;
+
+// Greedy word packing for sentences longer than `maxChars`
+function packWords(sentence, maxChars) {
+  const out = [];
+  let current = "";
+  for (const word of sentence.split(/\s+/)) {
+    if (current && current.length + 1 + word.length > maxChars) {
+      out.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) out.push(current);
+  return out;
+}
+
+/**
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {number} [opts.minChars] - Short sentences are merged into the previous chunk up to this size
+ * @param {number} [opts.maxChars] - Longer sentences are broken at word boundaries
+ * @returns {string[]}
+ */
+export function splitIntoChunks(text, { minChars = 40, maxChars = 300 } = {}) {
+  const pieces = text
+    .trim()
+    .split(SENTENCE_END)
+    .filter(Boolean)
+    .flatMap((s) => (s.length <= maxChars ? [s] : packWords(s, maxChars)));
+
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last !== undefined && last.length < minChars && last.length + 1 + piece.length <= maxChars) {
+      chunks[chunks.length - 1] = `${last} ${piece}`;
+    } else {
+      chunks.push(piece);
+    }
+  }
+  return chunks;
+}
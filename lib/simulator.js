@@ -0,0 +1,368 @@
+/**
+ * Offline meeting simulator. Answers the Recall API calls this server makes
+ * (create bot, status, transcript, chat, participants, output audio and video,
+ * leave) from a script file replayed on a clock, so the tools can be exercised
+ * with no network and no credentials. What the bot says, shows and posts is
+ * appended to a JSONL log.
+ *
+ * Every bot replays the script from its own start: meeting time 0 is when
+ * the bot was created. Script file (JSON):
+ *
+ *   { "events": [
+ *       { "at": 0,  "type": "status", "status": "waiting_room" },
+ *       { "at": 5,  "type": "status", "status": "admitted" },
+ *       { "at": 6,  "type": "join",   "name": "Ann", "host": true },
+ *       { "at": 8,  "type": "speech", "speaker": "Ann", "text": "Morning all" },
+ *       { "at": 12, "type": "chat",   "sender": "Ann", "text": "Agenda: …" },
+ *       { "at": 40, "type": "leave",  "name": "Ann" },
+ *       { "at": 60, "type": "status", "status": "kicked" }
+ *   ] }
+ *
+ * A recorded transcript works too: a bare array of Recall transcript entries,
+ * or an export_transcript JSON / archive file (anything with `transcript`).
+ */
+
+import { readFileSync, appendFileSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import { randomUUID } from "node:crypto";
+
+// Shorthands for status events; any other value is used as a Recall status code
+const STATUS_ALIASES = {
+  waiting_room: { code: "in_waiting_room" },
+  admitted: { code: "in_call_recording" },
+  kicked: { code: "call_ended", sub_code: "bot_kicked_from_call" },
+  denied: { code: "call_ended", sub_code: "bot_kicked_from_waiting_room" },
+  ended: { code: "call_ended", sub_code: "call_ended_by_host" },
+};
+
+const IN_CALL = new Set(["in_call_not_recording", "in_call_recording"]);
+
+// Pace of scripted speech and of the bot's own echo
+const WORD_SECONDS = 0.35;
+const SECONDS_PER_CHAR = 0.065;
+
+const BOT_SPEAKER_ID = 100;
+
+// Silent MPEG-1 Layer III frames (32 kbps, 44.1 kHz): 104 bytes, 1152 samples each
+const FRAME_BYTES = 104;
+const FRAME_SECONDS = 1152 / 44100;
+
+// The clip's ID goes in the first frame's (ignored) payload, after the 4-byte header
+const CLIP_ID_OFFSET = 4;
+const CLIP_ID_LENGTH = 36;
+
+function silentMp3(seconds, clipId) {
+  const frames = Math.max(1, Math.ceil(seconds / FRAME_SECONDS));
+  const audio = Buffer.alloc(frames * FRAME_BYTES);
+  for (let i = 0; i < frames; i++) audio.set([0xff, 0xfb, 0x10, 0x00], i * FRAME_BYTES);
+  audio.write(clipId, CLIP_ID_OFFSET, "latin1");
+  return audio;
+}
+
+function clipIdOf(b64) {
+  return Buffer.from(String(b64 ?? ""), "base64").toString("latin1", CLIP_ID_OFFSET, CLIP_ID_OFFSET + CLIP_ID_LENGTH);
+}
+
+function timedWords(text, at) {
+  return text.split(/\s+/).filter(Boolean).map((word, i) => ({
+    text: word,
+    start_timestamp: at + i * WORD_SECONDS,
+    end_timestamp: at + i * WORD_SECONDS + WORD_SECONDS * 0.8,
+  }));
+}
+
+/**
+ * Read and normalize a script file. Throws with a readable message if it
+ * can't be used.
+ *
+ * @param {string} path
+ * @returns {{ status: object[], speech: object[], chat: object[], presence: object[], hosts: Set<string> }}
+ */
+export function loadScript(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    throw new Error(`Can't read simulator script ${path}: ${err.message}`);
+  }
+
+  const recorded = Array.isArray(data) ? data : !Array.isArray(data.events) && Array.isArray(data.transcript) ? data.transcript : null;
+  const events = recorded
+    ? recorded.filter((e) => e.words?.length).map((e) => ({ type: "speech", at: e.words[0].start_timestamp, speaker: e.speaker, words: e.words }))
+    : data.events;
+  if (!Array.isArray(events)) {
+    throw new Error(`Simulator script ${path} needs an "events" array or a recorded transcript.`);
+  }
+
+  const script = { status: [], speech: [], chat: [], presence: [], hosts: new Set() };
+  for (const [i, e] of events.entries()) {
+    const at = Number(e.at);
+    if (!Number.isFinite(at) || at < 0) throw new Error(`Simulator script event ${i + 1} has no valid "at" (seconds).`);
+    switch (e.type) {
+      case "status":
+        script.status.push({ at, ...(STATUS_ALIASES[e.status] ?? { code: e.status, sub_code: e.sub_code ?? null }) });
+        break;
+      case "speech": {
+        const words = e.words ?? timedWords(String(e.text ?? ""), at);
+        if (words.length) script.speech.push({ at, speaker: e.speaker || "Unknown", words });
+        break;
+      }
+      case "chat":
+        script.chat.push({ at, sender: e.sender || "Unknown", text: String(e.text ?? ""), to: e.to ?? "everyone" });
+        break;
+      case "join":
+      case "leave":
+        script.presence.push({ at, name: e.name, code: e.type });
+        if (e.host) script.hosts.add(e.name);
+        break;
+      default:
+        throw new Error(`Simulator script event ${i + 1} has unknown type "${e.type}" (use status, speech, chat, join or leave).`);
+    }
+  }
+  for (const list of [script.status, script.speech, script.chat, script.presence]) list.sort((a, b) => a.at - b.at);
+  return script;
+}
+
+/**
+ * @param {object} options
+ * @param {ReturnType<typeof loadScript>} options.script
+ * @param {string} options.logPath - JSONL file the bot's speech, chat and leaves are appended to
+ * @param {number} [options.speed] - Clock multiplier; 10 replays a 10-minute script in one minute
+ * @param {(botId: string) => void} [options.onSpeech] - Called as scripted speech starts and ends
+ */
+export function createSimulator({ script, logPath, speed = 1, onSpeech = () => {} }) {
+  const bots = new Map();
+  // Text of synthesized clips by clip ID, so output_audio knows what the bot said
+  const clipTexts = new Map();
+
+  // Stable participant IDs, in order of first appearance in the script
+  const speakerIds = new Map();
+  for (const e of [...script.presence, ...script.speech.map((s) => ({ name: s.speaker })), ...script.chat.map((c) => ({ name: c.sender }))]) {
+    if (e.name && !speakerIds.has(e.name)) speakerIds.set(e.name, speakerIds.size + 1);
+  }
+
+  const wallTime = (bot, at) => new Date(bot.createdAt + (at * 1000) / speed).toISOString();
+
+  // Seconds of meeting time for this bot, stopped once it's out of the call
+  function clock(bot) {
+    const now = ((Date.now() - bot.createdAt) / 1000) * speed;
+    return bot.endedAt === null ? now : Math.min(now, bot.endedAt);
+  }
+
+  function statusChanges(bot) {
+    const t = clock(bot);
+    const changes = [{ code: "joining_call", sub_code: null, at: 0 }, ...script.status.filter((s) => s.at <= t)];
+    if (!script.status.some((s) => IN_CALL.has(s.code) || s.code === "in_waiting_room")) {
+      changes.push({ code: "in_call_recording", sub_code: null, at: 0 });
+    }
+    if (bot.leftAt !== null && bot.leftAt <= t) changes.push({ code: "call_ended", sub_code: "bot_left_call", at: bot.leftAt });
+    changes.sort((a, b) => a.at - b.at);
+
+    // Nothing after the first end is real
+    const end = changes.findIndex((c) => c.code === "call_ended");
+    const visible = end === -1 ? changes : changes.slice(0, end + 1);
+    if (end !== -1 && bot.endedAt === null) bot.endedAt = visible[end].at;
+    return visible;
+  }
+
+  // When the bot got into the call (it hears nothing before), or null
+  function admittedAt(bot) {
+    return statusChanges(bot).find((c) => IN_CALL.has(c.code))?.at ?? null;
+  }
+
+  function inCall(bot) {
+    const latest = statusChanges(bot).at(-1);
+    return IN_CALL.has(latest.code);
+  }
+
+  function log(bot, event, fields = {}) {
+    try {
+      mkdirSync(dirname(logPath), { recursive: true });
+      appendFileSync(logPath, JSON.stringify({
+        at: new Date().toISOString(), bot_id: bot.id, meeting_time: Math.round(clock(bot) * 10) / 10, event, ...fields,
+      }) + "\n");
+    } catch (err) {
+      console.error(`Failed to write simulator log ${logPath}: ${err.message}`);
+    }
+  }
+
+  function transcript(bot) {
+    const t = clock(bot);
+    const from = admittedAt(bot);
+    if (from === null) return [];
+    const scripted = script.speech.map((s) => ({ speaker: s.speaker, speaker_id: speakerIds.get(s.speaker), words: s.words }));
+    return [...scripted, ...bot.echoes]
+      .map((e) => ({ ...e, words: e.words.filter((w) => w.start_timestamp >= from && w.end_timestamp <= t) }))
+      .filter((e) => e.words.length > 0)
+      .sort((a, b) => a.words[0].start_timestamp - b.words[0].start_timestamp);
+  }
+
+  function chatMessages(bot) {
+    const t = clock(bot);
+    const from = admittedAt(bot);
+    if (from === null) return [];
+    const scripted = script.chat
+      .filter((c) => c.at >= from && c.at <= t)
+      .map((c) => ({ at: c.at, text: c.text, sender: { id: speakerIds.get(c.sender), name: c.sender }, to: c.to }));
+    return [...scripted, ...bot.sentChats]
+      .sort((a, b) => a.at - b.at)
+      .map(({ at, ...m }) => ({ ...m, created_at: wallTime(bot, at) }));
+  }
+
+  function participants(bot) {
+    const t = clock(bot);
+    const from = admittedAt(bot);
+    if (from === null) return [];
+    const people = new Map();
+    const person = (name) => {
+      if (!people.has(name)) people.set(name, { id: speakerIds.get(name), name, is_host: script.hosts.has(name), events: [] });
+      return people.get(name);
+    };
+    // Anyone who speaks or chats without a scripted join was there from the start
+    for (const name of speakerIds.keys()) {
+      if (!script.presence.some((p) => p.name === name && p.code === "join")) {
+        person(name).events.push({ code: "join", created_at: wallTime(bot, 0) });
+      }
+    }
+    for (const p of script.presence.filter((p) => p.at <= t)) {
+      person(p.name).events.push({ code: p.code, created_at: wallTime(bot, p.at) });
+    }
+    const self = { id: BOT_SPEAKER_ID, name: bot.name, is_host: false, events: [{ code: "join", created_at: wallTime(bot, from) }] };
+    if (bot.endedAt !== null) self.events.push({ code: "leave", created_at: wallTime(bot, bot.endedAt) });
+    return [...people.values(), self];
+  }
+
+  function describe(bot) {
+    return {
+      id: bot.id,
+      bot_name: bot.name,
+      meeting_url: bot.meetingUrl,
+      created_at: new Date(bot.createdAt).toISOString(),
+      status_changes: statusChanges(bot).map((c) => ({ code: c.code, sub_code: c.sub_code ?? null, created_at: wallTime(bot, c.at) })),
+      meeting_participants: participants(bot),
+    };
+  }
+
+  function scheduleSpeechEvents(bot) {
+    for (const s of script.speech) {
+      for (const at of [s.words[0].start_timestamp, s.words.at(-1).end_timestamp]) {
+        const timer = setTimeout(() => bot.endedAt === null && onSpeech(bot.id), (at * 1000) / speed);
+        timer.unref?.();
+        bot.timers.push(timer);
+      }
+    }
+  }
+
+  const ok = (data, status = 200) => ({ ok: true, status, data });
+  const fail = (status, detail) => ({ ok: false, status, data: { detail } });
+
+  const routes = [
+    ["POST", /^\/bot\/$/, (_, body) => {
+      if (!body?.bot_name || !body?.meeting_url) return fail(400, "bot_name and meeting_url are required.");
+      const bot = {
+        id: `sim-${randomUUID().slice(0, 8)}`,
+        name: body.bot_name,
+        meetingUrl: body.meeting_url,
+        createdAt: Date.now(),
+        endedAt: null,
+        leftAt: null,
+        echoes: [],
+        sentChats: [],
+        timers: [],
+      };
+      bots.set(bot.id, bot);
+      const greeting = body.chat?.on_bot_join?.message;
+      if (greeting) bot.sentChats.push({ at: 0, text: greeting, sender: { id: BOT_SPEAKER_ID, name: bot.name }, to: "everyone" });
+      scheduleSpeechEvents(bot);
+      log(bot, "join", { meeting_url: bot.meetingUrl, bot_name: bot.name });
+      return ok(describe(bot), 201);
+    }],
+    ["GET", /^\/bot\/(?:\?.*)?$/, () => ok({ next: null, results: [...bots.values()].map(describe) })],
+    ["GET", /^\/bot\/([\w-]+)\/$/, (bot) => ok(describe(bot))],
+    ["GET", /^\/bot\/([\w-]+)\/transcript\/$/, (bot) => ok(transcript(bot))],
+    ["GET", /^\/bot\/([\w-]+)\/chat-messages\/$/, (bot) => ok({ next: null, results: chatMessages(bot) })],
+    ["POST", /^\/bot\/([\w-]+)\/send_chat_message\/$/, (bot, body) => {
+      if (!inCall(bot)) return fail(400, "Bot is not in the call.");
+      bot.sentChats.push({ at: clock(bot), text: body.message, sender: { id: BOT_SPEAKER_ID, name: bot.name }, to: "everyone" });
+      log(bot, "chat", { text: body.message });
+      return ok({});
+    }],
+    ["POST", /^\/bot\/([\w-]+)\/output_audio\/$/, (bot, body) => {
+      if (!inCall(bot)) return fail(400, "Bot is not in the call.");
+      const clipId = clipIdOf(body.b64_data);
+      const text = clipTexts.get(clipId) ?? null;
+      clipTexts.delete(clipId);
+      // The bot hears itself, as it does in a real call
+      if (text) bot.echoes.push({ speaker: bot.name, speaker_id: BOT_SPEAKER_ID, words: timedWords(text, clock(bot)) });
+      // Anything else is an audio file from play_audio
+      if (text) log(bot, "speak", { text });
+      else log(bot, "play_audio", { bytes: Buffer.from(body.b64_data ?? "", "base64").length });
+      return ok({});
+    }],
+    ["DELETE", /^\/bot\/([\w-]+)\/output_audio\/$/, (bot) => {
+      log(bot, "stop_speaking");
+      return ok({});
+    }],
+    ["POST", /^\/bot\/([\w-]+)\/output_video\/$/, (bot, body) => {
+      if (!inCall(bot)) return fail(400, "Bot is not in the call.");
+      log(bot, "show_image", { bytes: Buffer.from(body.b64_data ?? "", "base64").length });
+      return ok({});
+    }],
+    ["DELETE", /^\/bot\/([\w-]+)\/output_video\/$/, (bot) => {
+      log(bot, "clear_image");
+      return ok({});
+    }],
+    ["POST", /^\/bot\/([\w-]+)\/leave_call\/$/, (bot) => {
+      if (bot.leftAt === null && bot.endedAt === null) {
+        bot.leftAt = clock(bot);
+        bot.endedAt = bot.leftAt;
+        bot.timers.forEach(clearTimeout);
+        log(bot, "leave");
+      }
+      return ok(describe(bot));
+    }],
+  ];
+
+  return {
+    /**
+     * Stand-in for recallApi: same arguments, same { ok, status, data } result.
+     *
+     * @param {string} method
+     * @param {string} path - Path under /api/v1, e.g. "/bot/abc/transcript/"
+     * @param {object} [body]
+     */
+    async request(method, path, body) {
+      for (const [m, pattern, handler] of routes) {
+        if (m !== method) continue;
+        const match = path.match(pattern);
+        if (!match) continue;
+        if (match[1] === undefined) return handler(null, body);
+        const bot = bots.get(match[1]);
+        if (!bot) return fail(404, "Not found.");
+        return handler(bot, body);
+      }
+      return fail(404, `The simulator doesn't implement ${method} ${path}.`);
+    },
+
+    /** TTS provider producing silent audio of a plausible length; remembers the text for the log. */
+    tts: {
+      name: "simulator",
+      offline: true,
+      defaultVoice: "simulated",
+      defaultModel: null,
+      defaultSpeed: 1,
+      models: [],
+      async listVoices() {
+        return ["simulated"];
+      },
+      async synthesize(text, { speed: rate = 1 } = {}) {
+        const clipId = randomUUID();
+        clipTexts.set(clipId, text);
+        return { audio: silentMp3((text.length * SECONDS_PER_CHAR) / rate, clipId), kind: "mp3" };
+      },
+      async check() {
+        return { ok: true, detail: "Simulator: speech is logged, not synthesized" };
+      },
+    },
+  };
+}
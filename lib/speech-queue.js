@@ -0,0 +1,137 @@
+/**
+ * Per-bot speech queue. Audio is synthesized when `speak` is called, then
+ * clips are played strictly one after another: each is pushed to the meeting
+ * only once the previous one has finished playing, so utterances never overlap.
+ */
+
+/**
+ * @param {object} opts
+ * @param {(item: object) => Promise<number|undefined>} opts.play - Push one clip to the
+ *   meeting. May resolve with the clip's true duration in seconds if it's only known after playing.
+ */
+export function createSpeechQueue({ play }) {
+  const pending = [];
+  let playing = null; // { item, endsAt }
+  let pushing = null; // item currently being sent to the meeting
+  let wake = null; // cuts the wait for the current clip short (see stop)
+  let draining = false;
+  let nextId = 1;
+
+  function remainingMs() {
+    return playing ? Math.max(0, playing.endsAt - Date.now()) : 0;
+  }
+
+  // Time until the clip at the head of `pending` can start
+  function busyMs() {
+    return pushing ? pushing.duration * 1000 : remainingMs();
+  }
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      while (pending.length > 0) {
+        const wait = remainingMs();
+        if (wait > 0) {
+          // Re-check afterwards: the queue may have been cleared or stopped meanwhile
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, wait);
+            wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          wake = null;
+          continue;
+        }
+
+        const item = pending.shift();
+        pushing = item;
+        try {
+          const actual = await play(item);
+          const duration = actual ?? item.duration;
+          item.duration = duration;
+          playing = { item, endsAt: Date.now() + duration * 1000 };
+          item.settle({ ok: true, duration });
+        } catch (error) {
+          item.settle({ ok: false, error });
+        } finally {
+          pushing = null;
+        }
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  return {
+    /**
+     * Add a clip. Returns { item, position, startsInMs, played }, where
+     * `position` is how many clips are ahead of it (0 = plays right away) and
+     * `played` resolves — never rejects — with { ok, duration } once the clip
+     * is pushed, { ok: false, error } if pushing failed, or
+     * { ok: false, cleared: true } if it was dropped first.
+     *
+     * @param {object} clip
+     * @param {string} clip.text
+     * @param {number} clip.duration - Seconds of audio (best known value)
+     * @param {*} [clip.payload] - Whatever `play` needs, e.g. the MP3 bytes
+     * @param {number} [clip.utteranceId] - Groups the sentence chunks of one `speak` call
+     */
+    enqueue({ text, duration, payload, utteranceId }) {
+      const ahead = pending.length + (busyMs() > 0 ? 1 : 0);
+      const startsInMs = busyMs() + pending.reduce((sum, p) => sum + p.duration * 1000, 0);
+
+      let settle;
+      const played = new Promise((resolve) => { settle = resolve; });
+      const item = { id: nextId++, text, duration, payload, utteranceId, queuedAt: Date.now(), settle };
+      pending.push(item);
+      drain();
+
+      return { item, position: ahead, startsInMs, played };
+    },
+
+    snapshot() {
+      const current = pushing ? { item: pushing, remaining: pushing.duration * 1000 } : { item: playing?.item, remaining: remainingMs() };
+      let startsInMs = current.remaining;
+      return {
+        playing: current.remaining > 0
+          ? {
+              id: current.item.id,
+              utteranceId: current.item.utteranceId,
+              text: current.item.text,
+              duration: current.item.duration,
+              remainingMs: current.remaining,
+            }
+          : null,
+        pending: pending.map((p) => {
+          const entry = { id: p.id, utteranceId: p.utteranceId, text: p.text, duration: p.duration, startsInMs };
+          startsInMs += p.duration * 1000;
+          return entry;
+        }),
+      };
+    },
+
+    // Drop everything not yet pushed. Audio already sent to the meeting keeps playing.
+    clear() {
+      const dropped = pending.splice(0);
+      for (const item of dropped) item.settle({ ok: false, cleared: true });
+      return dropped.length;
+    },
+
+    // Drop everything queued and forget the clip that is playing, so the next
+    // clip starts right away. The caller is responsible for cutting off the
+    // audio already sent to the meeting.
+    stop() {
+      const dropped = this.clear();
+      const wasPlaying = busyMs() > 0;
+      playing = null;
+      wake?.();
+      return { dropped, wasPlaying };
+    },
+
+    isIdle() {
+      return pending.length === 0 && busyMs() === 0;
+    },
+  };
+}
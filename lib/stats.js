@@ -0,0 +1,151 @@
+/**
+ * Speaker analytics from word-level timestamps: talk time and share, turns,
+ * overlaps, monologues and participants who never spoke.
+ *
+ * A turn is a run of consecutive entries from the same speaker. An overlap is
+ * a turn that starts before the previous speaker's turn has ended; it counts
+ * as the new speaker interrupting the previous one.
+ */
+
+import { formatTimestamp } from "./transcript.js";
+
+export const DEFAULT_MONOLOGUE_SECONDS = 60;
+
+// 45 → "45s", 725 → "12m 05s", 3725 → "1h 02m"
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  if (total < 60) return `${total}s`;
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, "0")}m` : `${m}m ${String(s).padStart(2, "0")}s`;
+}
+
+// Entries cut down to the words inside [since, until], in time order
+function windowed(transcript, since, until) {
+  return transcript
+    .map((entry) => ({
+      entry,
+      words: (entry.words || []).filter((w) =>
+        (since === null || w.start_timestamp >= since) && (until === null || w.start_timestamp <= until)),
+    }))
+    .filter((e) => e.words.length > 0)
+    .sort((a, b) => a.words[0].start_timestamp - b.words[0].start_timestamp);
+}
+
+/**
+ * @param {object[]} transcript - Recall-shaped entries
+ * @param {object} [options]
+ * @param {number|null} [options.since] - Seconds; only words starting at or after this count
+ * @param {number|null} [options.until] - Seconds; only words starting at or before this count
+ * @param {number} [options.monologueSeconds] - Turns at least this long are listed as monologues
+ * @param {string[]} [options.participants] - Everyone in the meeting, to find who never spoke
+ * @param {(entry: object) => boolean} [options.isBot] - Marks the bot's own speech
+ */
+export function computeStats(transcript, {
+  since = null, until = null, monologueSeconds = DEFAULT_MONOLOGUE_SECONDS, participants = [], isBot = () => false,
+} = {}) {
+  const speakers = new Map();
+  const turns = [];
+  let overlaps = 0;
+
+  for (const { entry, words } of windowed(transcript, since, until)) {
+    const name = entry.speaker || "Unknown";
+    const start = words[0].start_timestamp;
+    const end = words[words.length - 1].end_timestamp ?? start;
+
+    let s = speakers.get(name);
+    if (!s) {
+      s = { name, isBot: false, talkTime: 0, turns: 0, longestTurn: 0, interruptions: 0, interrupted: 0 };
+      speakers.set(name, s);
+    }
+    s.isBot ||= isBot(entry);
+    s.talkTime += Math.max(0, end - start);
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.name === name) {
+      previous.end = Math.max(previous.end, end);
+      continue;
+    }
+    if (previous && start < previous.end) {
+      overlaps++;
+      s.interruptions++;
+      speakers.get(previous.name).interrupted++;
+    }
+    turns.push({ name, start, end });
+    s.turns++;
+  }
+
+  for (const turn of turns) {
+    const s = speakers.get(turn.name);
+    s.longestTurn = Math.max(s.longestTurn, turn.end - turn.start);
+  }
+
+  const totalTalk = [...speakers.values()].reduce((sum, s) => sum + s.talkTime, 0);
+  const list = [...speakers.values()]
+    .map((s) => ({ ...s, share: totalTalk > 0 ? s.talkTime / totalTalk : 0, avgTurn: s.turns > 0 ? s.talkTime / s.turns : 0 }))
+    .sort((a, b) => b.talkTime - a.talkTime);
+
+  const heard = new Set(speakers.keys());
+  const silent = [...new Set(participants)].filter((name) => !heard.has(name));
+
+  return {
+    window: {
+      start: since ?? (turns.length ? turns[0].start : 0),
+      end: until ?? turns.reduce((max, t) => Math.max(max, t.end), 0),
+    },
+    totalTalk,
+    overlaps,
+    speakers: list,
+    monologues: turns
+      .filter((t) => t.end - t.start >= monologueSeconds)
+      .map((t) => ({ ...t, duration: t.end - t.start })),
+    silent,
+    monologueSeconds,
+  };
+}
+
+/**
+ * Markdown report in the same layout as export's toMarkdown.
+ *
+ * @param {ReturnType<typeof computeStats>} stats
+ * @param {object} meta
+ * @param {string} meta.botId
+ * @param {string} [meta.botName]
+ * @param {string} [meta.meetingUrl]
+ */
+export function statsToMarkdown(stats, { botId, botName, meetingUrl }) {
+  const lines = ["# Meeting stats", ""];
+  if (meetingUrl) lines.push(`- **Meeting:** ${meetingUrl}`);
+  lines.push(`- **Bot:** ${botName ? `${botName} (${botId})` : botId}`);
+  lines.push(`- **Window:** ${formatTimestamp(stats.window.start)}–${formatTimestamp(stats.window.end)}`);
+  lines.push(
+    `- **Speech:** ${formatDuration(stats.totalTalk)} from ${stats.speakers.length} speaker${stats.speakers.length === 1 ? "" : "s"}, ` +
+    `${stats.overlaps} overlap${stats.overlaps === 1 ? "" : "s"}`,
+    "",
+  );
+
+  lines.push(
+    "## Speakers",
+    "",
+    "| Speaker | Talk time | Share | Turns | Avg turn | Longest turn | Interrupted others | Was interrupted |",
+    "|---|---|---|---|---|---|---|---|",
+    ...stats.speakers.map((s) =>
+      `| ${s.name}${s.isBot ? " (bot)" : ""} | ${formatDuration(s.talkTime)} | ${Math.round(s.share * 100)}% | ${s.turns} | ` +
+      `${formatDuration(s.avgTurn)} | ${formatDuration(s.longestTurn)} | ${s.interruptions} | ${s.interrupted} |`),
+    "",
+  );
+
+  lines.push(`## Monologues (${formatDuration(stats.monologueSeconds)} or longer)`, "");
+  if (stats.monologues.length === 0) lines.push("None.", "");
+  else {
+    lines.push(...stats.monologues.map((m) =>
+      `- **${m.name}** ${formatTimestamp(m.start)}–${formatTimestamp(m.end)} (${formatDuration(m.duration)})`), "");
+  }
+
+  if (stats.silent.length > 0) {
+    lines.push("## Silent participants", "", ...stats.silent.map((name) => `- ${name}`), "");
+  }
+
+  return lines.join("\n");
+}
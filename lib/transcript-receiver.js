@@ -0,0 +1,194 @@
+/**
+ * Local receiver for Recall.ai real-time transcription webhooks (direct mode).
+ *
+ * Recall POSTs each finalized utterance to the bot's `destination_url`. This
+ * listener verifies the request signature, normalizes the payload to the same
+ * entry shape as Recall's `/bot/{id}/transcript/` endpoint, and buffers it per
+ * bot so `get_transcript` can read it without polling Recall.
+ *
+ * Expose the listener publicly (e.g. with a tunnel) and set RECALL_WEBHOOK_URL
+ * to that public address.
+ */
+
+import { createServer } from "node:http";
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { entryKey } from "./transcript.js";
+
+const MAX_BODY_BYTES = 1_000_000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// ── Signature verification ───────────────────────────────────────────────────
+
+// Recall signs webhooks Svix-style: HMAC-SHA256 over "{id}.{timestamp}.{body}"
+// with the base64 secret after its "whsec_" prefix. The signature header can
+// carry several space-separated "v1,<base64>" entries during secret rotation.
+export function verifySignature(secret, headers, rawBody) {
+  const id = headers["webhook-id"] || headers["svix-id"];
+  const timestamp = headers["webhook-timestamp"] || headers["svix-timestamp"];
+  const signatures = headers["webhook-signature"] || headers["svix-signature"];
+  if (!id || !timestamp || !signatures) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ""), "base64");
+  const expected = createHmac("sha256", key)
+    .update(`${id}.${timestamp}.${rawBody}`)
+    .digest();
+
+  return signatures.split(" ").some((entry) => {
+    const [version, value] = entry.split(",");
+    if (version !== "v1" || !value) return false;
+    const actual = Buffer.from(value, "base64");
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  });
+}
+
+// ── Payload normalization ────────────────────────────────────────────────────
+
+// Accepts both the legacy `bot.transcription` event and the newer
+// `transcript.data` realtime-endpoint event. Returns { botId, entry } or null.
+export function normalizeEvent(payload) {
+  const event = payload?.event;
+  const data = payload?.data;
+  if (!data) return null;
+
+  if (event === "bot.transcription") {
+    const t = data.transcript;
+    if (!t || t.is_final === false) return null;
+    return {
+      botId: data.bot_id,
+      entry: {
+        speaker: t.speaker ?? null,
+        speaker_id: t.speaker_id ?? null,
+        words: (t.words || []).map((w) => ({
+          text: w.text,
+          start_timestamp: w.start_timestamp,
+          end_timestamp: w.end_timestamp,
+        })),
+      },
+    };
+  }
+
+  if (event === "transcript.data") {
+    const inner = data.data || {};
+    return {
+      botId: data.bot?.id,
+      entry: {
+        speaker: inner.participant?.name ?? null,
+        speaker_id: inner.participant?.id ?? null,
+        words: (inner.words || []).map((w) => ({
+          text: w.text,
+          start_timestamp: w.start_timestamp?.relative ?? w.start_timestamp,
+          end_timestamp: w.end_timestamp?.relative ?? w.end_timestamp,
+        })),
+      },
+    };
+  }
+
+  return null;
+}
+
+// ── Listener ──────────────────────────────────────────────────────────────────
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Payload too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Start the webhook listener. Resolves once the port is bound.
+ *
+ * @param {object} opts
+ * @param {number} opts.port - Local port to listen on
+ * @param {string} [opts.host] - Interface to bind (default 127.0.0.1)
+ * @param {string} [opts.secret] - Recall webhook secret; unsigned events are accepted when omitted
+ * @param {(botId: string) => boolean} [opts.acceptBot] - Whether to buffer events for this bot; the rest are
+ *   dropped, so unsigned or stray events can't grow memory without bound
+ * @param {(botId: string, entry: object) => void} [opts.onEntry] - Called after each entry is buffered
+ */
+export async function startTranscriptReceiver({ port, host = "127.0.0.1", secret, acceptBot = () => true, onEntry = () => {} }) {
+  const buffers = new Map();
+
+  const server = createServer(async (req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    if (req.method !== "POST" || path !== "/transcription") {
+      res.writeHead(404).end();
+      return;
+    }
+
+    let rawBody;
+    try {
+      rawBody = await readBody(req);
+    } catch {
+      res.writeHead(413).end();
+      return;
+    }
+
+    if (secret && !verifySignature(secret, req.headers, rawBody)) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const normalized = normalizeEvent(payload);
+    if (normalized?.botId && normalized.entry.words.length > 0 && acceptBot(normalized.botId)) {
+      if (!buffers.has(normalized.botId)) buffers.set(normalized.botId, []);
+      const buffer = buffers.get(normalized.botId);
+      // A re-sent, longer version of an utterance replaces the earlier one
+      const key = entryKey(normalized.entry);
+      const existing = buffer.findIndex((e) => entryKey(e) === key);
+      if (existing >= 0) buffer[existing] = normalized.entry;
+      else buffer.push(normalized.entry);
+      onEntry(normalized.botId, normalized.entry);
+    }
+
+    res.writeHead(204).end();
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+  return {
+    port: server.address().port,
+    host,
+    verifiesSignatures: !!secret,
+    getEntries(botId) {
+      return buffers.get(botId) || [];
+    },
+    forget(botId) {
+      buffers.delete(botId);
+    },
+    close() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    },
+  };
+}
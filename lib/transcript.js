@@ -0,0 +1,114 @@
+/**
+ * Helpers for Recall-shaped transcript entries:
+ *   { speaker, speaker_id?, words: [{ text, start_timestamp, end_timestamp }] }
+ * Timestamps are seconds relative to the start of the recording.
+ */
+
+export function entryStart(entry) {
+  return entry.words?.[0]?.start_timestamp ?? null;
+}
+
+export function entryEnd(entry) {
+  return entry.words?.[entry.words.length - 1]?.end_timestamp ?? null;
+}
+
+export function entryText(entry) {
+  return entry.words?.map((w) => w.text).join(" ") || "";
+}
+
+// 75.4 → "01:15", 3725 → "1:02:05"
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds ?? 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const mm = String(m).padStart(2, "0");
+  const ss = String(s).padStart(2, "0");
+  return h > 0 ? `${h}:${mm}:${ss}` : `${mm}:${ss}`;
+}
+
+// Accepts "90", "01:30" or "1:01:30". Returns seconds, or null if unparseable.
+export function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const parts = String(value).trim().split(":");
+  if (parts.length > 3 || parts.some((p) => !/^\d+(\.\d+)?$/.test(p))) return null;
+  return parts.reduce((acc, p) => acc * 60 + Number(p), 0);
+}
+
+// ── Cursoring ─────────────────────────────────────────────────────────────────
+// A cursor maps each entry's identity to how many of its words have already
+// been delivered, so entries that keep growing after they were first read are
+// sent as deltas instead of being dropped or repeated.
+
+// Stable identity for an entry: who spoke, and when their first word started
+export function entryKey(entry) {
+  const who = entry.speaker_id ?? entry.speaker ?? "unknown";
+  return `${who}@${entryStart(entry)}`;
+}
+
+/**
+ * Cursor that treats every entry ending at or before `upToTs` as fully read.
+ * Pass Infinity to mark the whole transcript as read.
+ *
+ * @param {object[]} transcript
+ * @param {number|null} upToTs
+ * @returns {Record<string, number>}
+ */
+export function seedCursor(transcript, upToTs) {
+  const cursor = {};
+  if (upToTs === null || upToTs === undefined) return cursor;
+  for (const entry of transcript) {
+    const end = entryEnd(entry);
+    if (entry.words?.length && end !== null && end <= upToTs) cursor[entryKey(entry)] = entry.words.length;
+  }
+  return cursor;
+}
+
+/**
+ * Collect words not yet delivered and advance `cursor` past them (mutates it).
+ * Returns [{ entry, words, continued }] in transcript order; `continued` is
+ * true when earlier words of the same entry were delivered before.
+ *
+ * @param {object[]} transcript
+ * @param {Record<string, number>} cursor
+ */
+export function advanceCursor(transcript, cursor) {
+  const deltas = [];
+  for (const entry of transcript) {
+    const words = entry.words || [];
+    if (words.length === 0) continue;
+    const key = entryKey(entry);
+    const seen = cursor[key] ?? 0;
+    if (words.length > seen) {
+      deltas.push({ entry, words: words.slice(seen), continued: seen > 0 });
+      cursor[key] = words.length;
+    }
+  }
+  return deltas;
+}
+
+// ── Self-echo detection ───────────────────────────────────────────────────────
+
+function normalizedWords(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, " ").split(/\s+/).filter(Boolean);
+}
+
+const ECHO_MIN_WORDS = 3;
+const ECHO_MIN_OVERLAP = 0.75;
+
+/**
+ * True when most of the entry's words appear in one of the texts the bot
+ * recently said — i.e. the transcript line is the bot hearing itself.
+ *
+ * @param {object} entry
+ * @param {string[]} spokenTexts
+ */
+export function matchesSpokenText(entry, spokenTexts) {
+  const words = normalizedWords(entryText(entry));
+  if (words.length < ECHO_MIN_WORDS) return false;
+  return spokenTexts.some((spoken) => {
+    const vocabulary = new Set(normalizedWords(spoken));
+    const hits = words.filter((w) => vocabulary.has(w)).length;
+    return hits / words.length >= ECHO_MIN_OVERLAP;
+  });
+}
@@ -0,0 +1,84 @@
+/**
+ * Speech triggers for wait_for_speech: the bot's name, questions aimed at the
+ * bot, keywords and regexes. Matching is per transcript line.
+ */
+
+const QUESTION_START = /^(who|what|when|where|why|how|which|can|could|would|will|do|does|did|is|are|was|were|should|shall|have|has|any)\b/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Leading "Agent, " / "Hey Agent " / "OK Agent: " — the line is addressed to the bot
+function addressPattern(botName) {
+  return new RegExp(`^(?:(?:hey|hi|ok|okay|so)[,\\s]+)?${escapeRegExp(botName)}\\b[,:]?\\s*`, "i");
+}
+
+/**
+ * A line with a sentence ending in "?", or one addressed to the bot that goes
+ * on with a question word ("Agent, can you…"). A question word alone doesn't
+ * count: "Will do, thanks" starts with one too.
+ *
+ * @param {string} text
+ * @param {string} [botName]
+ */
+export function isQuestion(text, botName) {
+  const trimmed = text.trim();
+  if (/\?["')\]]*(\s|$)/.test(trimmed)) return true;
+  if (!botName) return false;
+  const address = trimmed.match(addressPattern(botName));
+  return !!address && QUESTION_START.test(trimmed.slice(address[0].length));
+}
+
+/**
+ * Build a matcher from trigger options. Returns { error } when a pattern
+ * doesn't compile or no trigger is enabled.
+ *
+ * @param {object} triggers
+ * @param {boolean} [triggers.mention] - The bot's name is said
+ * @param {boolean} [triggers.question] - A question that names the bot, or comes right after the bot spoke
+ * @param {string[]} [triggers.keywords] - Case-insensitive whole words or phrases
+ * @param {string[]} [triggers.patterns] - Regular expressions (case-insensitive)
+ * @param {string} botName
+ * @returns {{ match: (text: string, context: { afterBot: boolean, before?: string }) => string[] } | { error: string }}
+ *   `match` takes a whole transcript line. Lines grow while someone talks, so
+ *   pass the part already checked as `before`: only triggers that the new
+ *   words complete are returned.
+ */
+export function compileTriggers({ mention = false, question = false, keywords = [], patterns = [] }, botName) {
+  const name = new RegExp(`\\b${escapeRegExp(botName)}\\b`, "i");
+  const keywordRes = keywords.filter((k) => k.trim()).map((k) => ({
+    label: `keyword "${k}"`,
+    re: new RegExp(`(^|\\W)${escapeRegExp(k.trim())}($|\\W)`, "i"),
+  }));
+
+  const patternRes = [];
+  for (const p of patterns) {
+    try {
+      patternRes.push({ label: `pattern /${p}/`, re: new RegExp(p, "i") });
+    } catch (err) {
+      return { error: `Invalid pattern /${p}/: ${err.message}` };
+    }
+  }
+
+  if (!mention && !question && keywordRes.length === 0 && patternRes.length === 0) {
+    return { error: "No triggers enabled — set mention or question, or give keywords or patterns (or omit triggers to wake on any speech)." };
+  }
+
+  return {
+    match(text, { afterBot, before = "" }) {
+      const reasonsFor = (line) => {
+        const reasons = [];
+        const named = name.test(line);
+        if (mention && named) reasons.push("mention");
+        if (question && isQuestion(line, botName) && (named || afterBot)) reasons.push("question");
+        for (const { label, re } of [...keywordRes, ...patternRes]) {
+          if (re.test(line)) reasons.push(label);
+        }
+        return reasons;
+      };
+      const earlier = before.trim() ? new Set(reasonsFor(before)) : new Set();
+      return reasonsFor(text).filter((r) => !earlier.has(r));
+    },
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * eSpeak NG (https://github.com/espeak-ng/espeak-ng) — small, robotic-sounding,
+ * fully offline TTS available from most package managers. Voices are espeak
+ * language identifiers (e.g. `en-us`, `de`).
+ */
+
+import { runProcess, wavToMp3 } from "./process.js";
+
+// espeak's default rate in words per minute, i.e. speed 1.0
+const BASE_WPM = 175;
+
+export function createEspeakProvider({ binary = "espeak-ng", defaultVoice = "en-us", speed = 1.0, ffmpeg, timeoutMs = 60_000 }) {
+  let voiceCache = null;
+
+  return {
+    name: "espeak",
+    offline: true,
+    defaultVoice,
+    defaultModel: null,
+    defaultSpeed: speed,
+    models: [],
+
+    // `espeak-ng --voices` prints: Pty Language Age/Gender VoiceName File Other
+    async listVoices() {
+      if (!voiceCache) {
+        const out = await runProcess(binary, ["--voices"], { timeoutMs: 10_000 });
+        voiceCache = out.toString("utf-8")
+          .split("\n")
+          .slice(1)
+          .map((line) => line.trim().split(/\s+/)[1])
+          .filter(Boolean);
+      }
+      return voiceCache;
+    },
+
+    async synthesize(text, { voice = defaultVoice, speed: rate = speed } = {}) {
+      const wav = await runProcess(
+        binary,
+        ["-v", voice, "-s", String(Math.round(BASE_WPM * rate)), "--stdout", "--stdin"],
+        { input: text, timeoutMs }
+      );
+      return { audio: await wavToMp3(wav, { ffmpeg, timeoutMs }), kind: "mp3" };
+    },
+
+    async check() {
+      try {
+        const voices = await this.listVoices();
+        await runProcess(ffmpeg || "ffmpeg", ["-version"], { timeoutMs: 10_000 });
+        return { ok: true, detail: `eSpeak NG: ready (${voices.length} voice(s), offline)` };
+      } catch (err) {
+        return { ok: false, detail: `eSpeak NG: ${err.message}` };
+      }
+    },
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * TTS provider registry. A provider looks like:
+ *
+ *   {
+ *     name, offline, defaultVoice, defaultModel, defaultSpeed,
+ *     models: string[],                      // accepted `model` values ([] = not configurable)
+ *     listVoices(): Promise<string[]>,
+ *     synthesize(text, { voice, speed, model }): Promise<{ audio: Buffer, kind: "mp3" }>,
+ *     check(): Promise<{ ok: boolean, detail: string }>,
+ *   }
+ */
+
+import { createOpenAiProvider } from "./openai.js";
+import { createPiperProvider } from "./piper.js";
+import { createEspeakProvider } from "./espeak.js";
+
+export { OPENAI_VOICES } from "./openai.js";
+
+export const TTS_PROVIDERS = ["openai", "piper", "espeak"];
+
+/**
+ * @param {string} name - One of TTS_PROVIDERS
+ * @param {object} config - Provider settings (see each provider's factory)
+ */
+export function createTtsProvider(name, config) {
+  switch (name) {
+    case "openai": return createOpenAiProvider(config.openai);
+    case "piper": return createPiperProvider(config.piper);
+    case "espeak": return createEspeakProvider(config.espeak);
+    default:
+      throw new Error(`Unknown TTS_PROVIDER "${name}". Use one of: ${TTS_PROVIDERS.join(", ")}`);
+  }
+}
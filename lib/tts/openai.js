@@ -0,0 +1,61 @@
+/**
+ * OpenAI text-to-speech (`/v1/audio/speech`). Used by default in direct mode,
+ * and its voices are the ones the Groupthink hosted API accepts.
+ */
+
+export const OPENAI_VOICES = ["alloy", "echo", "fable", "onyx", "nova", "shimmer"];
+export const OPENAI_MODELS = ["tts-1", "tts-1-hd", "gpt-4o-mini-tts"];
+
+export function createOpenAiProvider({ apiKey, model = "tts-1", speed = 1.0, timeoutMs = 60_000 }) {
+  if (!apiKey) throw new Error("TTS_PROVIDER=openai needs OPENAI_KEY");
+  if (!OPENAI_MODELS.includes(model)) {
+    throw new Error(`Unknown OpenAI TTS model "${model}". Use one of: ${OPENAI_MODELS.join(", ")}`);
+  }
+
+  return {
+    name: "openai",
+    offline: false,
+    defaultVoice: "nova",
+    defaultModel: model,
+    defaultSpeed: speed,
+    models: OPENAI_MODELS,
+
+    async listVoices() {
+      return OPENAI_VOICES;
+    },
+
+    async synthesize(text, { voice = "nova", speed: rate = speed, model: m = model } = {}) {
+      const res = await fetch("https://api.openai.com/v1/audio/speech", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ model: m, input: text, voice, speed: rate }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!res.ok) {
+        const errText = await res.text().catch(() => "");
+        throw new Error(`TTS failed: ${res.status} ${errText}`);
+      }
+
+      return { audio: Buffer.from(await res.arrayBuffer()), kind: "mp3" };
+    },
+
+    // Lightweight models list call
+    async check() {
+      try {
+        const res = await fetch("https://api.openai.com/v1/models?limit=1", {
+          headers: { Authorization: `Bearer ${apiKey}` },
+          signal: AbortSignal.timeout(30_000),
+        });
+        return res.ok
+          ? { ok: true, detail: "OpenAI API: connected" }
+          : { ok: false, detail: `OpenAI API: ${res.status} — check your OPENAI_KEY` };
+      } catch (err) {
+        return { ok: false, detail: `OpenAI API: ${err.message}` };
+      }
+    },
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Piper (https://github.com/rhasspy/piper) — fast, offline neural TTS.
+ * Voices are the `.onnx` models in PIPER_VOICES_DIR, named by file basename
+ * (e.g. `en_US-lessac-medium`).
+ */
+
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { runProcess, wavToMp3 } from "./process.js";
+
+export function createPiperProvider({ binary = "piper", voicesDir, defaultVoice, speed = 1.0, ffmpeg, timeoutMs = 60_000 }) {
+  if (!voicesDir) throw new Error("TTS_PROVIDER=piper needs PIPER_VOICES_DIR (a folder of .onnx voice models)");
+
+  function listModels() {
+    try {
+      return readdirSync(voicesDir)
+        .filter((f) => f.endsWith(".onnx"))
+        .map((f) => f.slice(0, -".onnx".length))
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  return {
+    name: "piper",
+    offline: true,
+    defaultVoice: defaultVoice || listModels()[0] || null,
+    defaultModel: null,
+    defaultSpeed: speed,
+    models: [],
+
+    async listVoices() {
+      return listModels();
+    },
+
+    async synthesize(text, { voice = this.defaultVoice, speed: rate = speed } = {}) {
+      // Piper can't write WAV to stdout, so go through a temp file
+      const dir = mkdtempSync(join(tmpdir(), "piper-"));
+      const outPath = join(dir, "speech.wav");
+      try {
+        await runProcess(binary, [
+          "--model", join(voicesDir, `${voice}.onnx`),
+          "--output_file", outPath,
+          "--length_scale", String(1 / rate),
+        ], { input: text, timeoutMs });
+        const audio = await wavToMp3(readFileSync(outPath), { ffmpeg, timeoutMs });
+        return { audio, kind: "mp3" };
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    },
+
+    async check() {
+      const voices = listModels();
+      if (voices.length === 0) return { ok: false, detail: `Piper: no .onnx voices found in ${voicesDir}` };
+      try {
+        await runProcess(binary, ["--version"], { timeoutMs: 10_000 });
+        await runProcess(ffmpeg || "ffmpeg", ["-version"], { timeoutMs: 10_000 });
+        return { ok: true, detail: `Piper: ready (${voices.length} voice(s), offline)` };
+      } catch (err) {
+        return { ok: false, detail: `Piper: ${err.message}` };
+      }
+    },
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Subprocess helpers for the local TTS engines.
+ */
+
+import { spawn } from "node:child_process";
+
+/**
+ * Run a command, feed it `input` on stdin and collect stdout.
+ * Rejects on spawn failure, non-zero exit, or timeout.
+ *
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} [opts]
+ * @param {string|Buffer} [opts.input] - Written to stdin, then stdin is closed
+ * @param {number} [opts.timeoutMs] - Kill the process after this long
+ * @returns {Promise<Buffer>}
+ */
+export function runProcess(command, args, { input, timeoutMs = 60_000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+    const stdout = [];
+    const stderr = [];
+
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`${command} timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(new Error(err.code === "ENOENT" ? `${command} not found — is it installed and on PATH?` : `Could not run ${command}: ${err.message}`));
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        const detail = Buffer.concat(stderr).toString("utf-8").trim().split("\n").pop();
+        reject(new Error(`${command} exited with code ${code}${detail ? `: ${detail}` : ""}`));
+      }
+    });
+
+    // Ignore EPIPE if the process exits before reading all input
+    child.stdin.on("error", () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Recall's output_audio only accepts MP3, so local engines' WAV goes through ffmpeg.
+export function wavToMp3(wav, { ffmpeg = "ffmpeg", timeoutMs } = {}) {
+  return runProcess(
+    ffmpeg,
+    ["-hide_banner", "-loglevel", "error", "-f", "wav", "-i", "pipe:0", "-f", "mp3", "-b:a", "64k", "pipe:1"],
+    { input: wav, timeoutMs }
+  );
+}
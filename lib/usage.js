@@ -0,0 +1,191 @@
+/**
+ * Usage metering: minutes each bot spent in a call, TTS characters, seconds
+ * of audio played, chat messages sent and API requests made. Kept per bot and
+ * per day in a JSON file, plus totals for the current server run, so costs can
+ * be estimated and budget caps enforced.
+ *
+ * File: { version, bots: { [botId]: BotUsage }, days: { "YYYY-MM-DD": Counters } }
+ * BotUsage: { name, meetingUrl, createdAt, inCallSince, leftAt, endReason, ...Counters }
+ * Counters: { ttsCharacters, audioSeconds, chatMessages, apiCalls }
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync } from "node:fs";
+import { dirname } from "node:path";
+
+const COUNTERS = ["ttsCharacters", "audioSeconds", "chatMessages", "apiCalls"];
+
+// Bots and days older than this are pruned from the file
+const RETENTION_MS = 90 * 24 * 3_600_000;
+
+// Counters change on every API call; the file is written at most this often
+const SAVE_DELAY_MS = 2000;
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map((k) => [k, 0]));
+}
+
+function addCounters(into, counts) {
+  for (const k of COUNTERS) into[k] = (into[k] || 0) + (counts[k] || 0);
+  return into;
+}
+
+// Local calendar day, "2024-05-07"
+export function dayKey(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+function load(path) {
+  try {
+    const data = JSON.parse(readFileSync(path, "utf-8"));
+    return { bots: data.bots ?? {}, days: data.days ?? {} };
+  } catch {
+    return { bots: {}, days: {} };
+  }
+}
+
+/**
+ * Seconds of a bot's time in the call that fall inside [from, to] (epoch ms).
+ *
+ * @param {object} bot - BotUsage
+ */
+export function callSeconds(bot, from = 0, to = Date.now()) {
+  if (!bot.inCallSince) return 0;
+  const start = Math.max(Date.parse(bot.inCallSince), from);
+  const end = Math.min(bot.leftAt ? Date.parse(bot.leftAt) : Date.now(), to);
+  return Math.max(0, (end - start) / 1000);
+}
+
+/**
+ * Cost estimate in dollars for `totals` ({ callSeconds, ttsCharacters, apiCalls }).
+ *
+ * @param {object} totals
+ * @param {object} rates
+ * @param {number} rates.botHour - Per hour a bot is in a call
+ * @param {number} rates.ttsPer1kChars - Per 1,000 characters synthesized
+ * @param {number} [rates.apiCall] - Per API request
+ */
+export function estimateCost(totals, { botHour, ttsPer1kChars, apiCall = 0 }) {
+  const bot = (totals.callSeconds / 3600) * botHour;
+  const tts = (totals.ttsCharacters / 1000) * ttsPer1kChars;
+  const api = totals.apiCalls * apiCall;
+  return { bot, tts, api, total: bot + tts + api };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.path - JSON file usage is kept in
+ */
+export function createUsageStore({ path }) {
+  const { bots, days } = load(path);
+  const startedAt = Date.now();
+  const session = emptyCounters();
+  let saveTimer = null;
+
+  function save() {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, bot] of Object.entries(bots)) {
+      if (bot.leftAt && Date.parse(bot.leftAt) < cutoff) delete bots[id];
+    }
+    const oldestDay = dayKey(cutoff);
+    for (const day of Object.keys(days)) {
+      if (day < oldestDay) delete days[day];
+    }
+    try {
+      mkdirSync(dirname(path), { recursive: true });
+      const tmp = `${path}.${process.pid}.tmp`;
+      writeFileSync(tmp, JSON.stringify({ version: 1, bots, days }, null, 2));
+      renameSync(tmp, path);
+    } catch (err) {
+      console.error(`Failed to save usage to ${path}: ${err.message}`);
+    }
+  }
+
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  }
+
+  function botUsage(botId) {
+    bots[botId] ??= {
+      name: null, meetingUrl: null, createdAt: new Date().toISOString(),
+      inCallSince: null, leftAt: null, endReason: null, ...emptyCounters(),
+    };
+    return bots[botId];
+  }
+
+  // Totals for bots' time in calls within [from, to], plus the given counters
+  function totals(counters, from, to) {
+    const seconds = Object.values(bots).reduce((sum, b) => sum + callSeconds(b, from, to), 0);
+    return { ...emptyCounters(), ...counters, callSeconds: seconds };
+  }
+
+  return {
+    /** Start tracking a bot (join_meeting or attach_bot). */
+    startBot(botId, { name, meetingUrl }) {
+      Object.assign(botUsage(botId), { name, meetingUrl });
+      save();
+    },
+
+    /** Add to a bot's counters (and today's and this run's). `botId` may be null for calls not tied to a bot. */
+    record(botId, counts) {
+      if (botId && bots[botId]) addCounters(bots[botId], counts);
+      addCounters((days[dayKey(Date.now())] ??= emptyCounters()), counts);
+      addCounters(session, counts);
+      saveSoon();
+    },
+
+    /** The bot is in the call as of `at` (ISO). Later calls keep the first time. */
+    markInCall(botId, at = new Date().toISOString()) {
+      const bot = bots[botId];
+      if (!bot || bot.inCallSince || bot.leftAt) return;
+      bot.inCallSince = at;
+      save();
+    },
+
+    /** The bot is out of its meeting. Later calls keep the first time and reason. */
+    markLeft(botId, { at = new Date().toISOString(), reason = null } = {}) {
+      const bot = bots[botId];
+      if (!bot || bot.leftAt) return;
+      bot.leftAt = at;
+      bot.endReason = reason;
+      save();
+    },
+
+    bot(botId) {
+      return bots[botId] ?? null;
+    },
+
+    /** [botId, BotUsage] pairs, newest first. */
+    bots() {
+      return Object.entries(bots).sort(([, a], [, b]) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /** Totals since local midnight: { callSeconds, ttsCharacters, audioSeconds, chatMessages, apiCalls }. */
+    today() {
+      const now = Date.now();
+      return totals(days[dayKey(now)], startOfDay(now), now);
+    },
+
+    /** Totals since this server process started. */
+    session() {
+      return totals(session, startedAt, Date.now());
+    },
+
+    startedAt: new Date(startedAt).toISOString(),
+
+    /** Write pending changes now (on shutdown). */
+    flush() {
+      if (saveTimer) save();
+    },
+  };
+}
@@ -221,6 +221,7 @@ async function selfHostedSetup() {
   console.log("You'll need:");
   console.log("  1. Recall.ai token  → https://recall.ai");
   console.log("  2. OpenAI API key   → https://platform.openai.com/api-keys");
+  console.log("     (or a local TTS engine — Piper or eSpeak NG — for offline speech)");
   console.log("");
 
   const recallToken = await ask("Recall.ai API token: ");
@@ -229,10 +230,26 @@ async function selfHostedSetup() {
     process.exit(1);
   }
 
-  const openaiKey = await ask("OpenAI API key: ");
-  if (!openaiKey.trim()) {
-    console.log("❌ OpenAI key is required.");
-    process.exit(1);
+  const ttsChoice = await ask("Text-to-speech engine:\n  1. OpenAI (recommended)\n  2. Piper (offline)\n  3. eSpeak NG (offline)\n\nChoice (1/2/3): ");
+  const ttsEnv = {};
+  let openaiKey = "";
+
+  if (ttsChoice.trim() === "2") {
+    const voicesDir = await ask("Folder containing Piper .onnx voice models: ");
+    if (!voicesDir.trim()) {
+      console.log("❌ Piper needs a voices folder.");
+      process.exit(1);
+    }
+    ttsEnv.TTS_PROVIDER = "piper";
+    ttsEnv.PIPER_VOICES_DIR = voicesDir.trim();
+  } else if (ttsChoice.trim() === "3") {
+    ttsEnv.TTS_PROVIDER = "espeak";
+  } else {
+    openaiKey = await ask("OpenAI API key: ");
+    if (!openaiKey.trim()) {
+      console.log("❌ OpenAI key is required.");
+      process.exit(1);
+    }
   }
 
   // Verify keys
@@ -251,24 +268,44 @@ async function selfHostedSetup() {
     console.log("   ⚠️  Couldn't verify — continuing");
   }
 
-  console.log("🔍 Verifying OpenAI key...");
-  try {
-    const res = await fetch("https://api.openai.com/v1/models", {
-      headers: { Authorization: `Bearer ${openaiKey.trim()}` },
-    });
-    if (res.status === 401) {
-      console.log("❌ Invalid OpenAI key.");
-      process.exit(1);
+  if (openaiKey) {
+    console.log("🔍 Verifying OpenAI key...");
+    try {
+      const res = await fetch("https://api.openai.com/v1/models", {
+        headers: { Authorization: `Bearer ${openaiKey.trim()}` },
+      });
+      if (res.status === 401) {
+        console.log("❌ Invalid OpenAI key.");
+        process.exit(1);
+      }
+      console.log("   ✅ Valid");
+    } catch (e) {
+      console.log("   ⚠️  Couldn't verify — continuing");
     }
-    console.log("   ✅ Valid");
-  } catch (e) {
-    console.log("   ⚠️  Couldn't verify — continuing");
   }
 
-  writeConfig({
+  console.log("");
+  console.log("Live transcripts are delivered to a webhook. Point a public tunnel");
+  console.log("(ngrok, Cloudflare Tunnel, ...) at a local port to receive them.");
+  console.log("Leave blank to skip — transcripts will then be polled from Recall.");
+  console.log("");
+
+  const env = {
     RECALL_TOKEN: recallToken.trim(),
-    OPENAI_KEY: openaiKey.trim(),
-  });
+    ...(openaiKey ? { OPENAI_KEY: openaiKey.trim() } : {}),
+    ...ttsEnv,
+  };
+
+  const webhookUrl = await ask("Public webhook URL (optional): ");
+  if (webhookUrl.trim()) {
+    const webhookPort = await ask("Local port the tunnel forwards to (default 8787): ");
+    const webhookSecret = await askHidden("Recall webhook secret, whsec_... (optional): ");
+    env.RECALL_WEBHOOK_URL = webhookUrl.trim();
+    env.RECALL_WEBHOOK_PORT = webhookPort.trim() || "8787";
+    if (webhookSecret.trim()) env.RECALL_WEBHOOK_SECRET = webhookSecret.trim();
+  }
+
+  writeConfig(env);
 }
 
 function writeConfig(env) {
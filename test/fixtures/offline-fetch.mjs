@@ -0,0 +1,19 @@
+// Preloaded into the server under test (NODE_OPTIONS=--import): OpenAI TTS
+// answers with a few silent MP3 frames, every other request fails the way
+// fetch does when the network is down. Each request is logged to fetch.log
+// in the data directory, so tests can wait for the attempts they expect
+// instead of sleeping.
+import { appendFileSync } from "node:fs";
+import { join } from "node:path";
+
+globalThis.fetch = async (url, opts = {}) => {
+  appendFileSync(join(process.env.MEETING_DATA_DIR, "fetch.log"), `${opts.method ?? "GET"} ${url}\n`);
+  if (String(url).includes("api.openai.com/v1/audio/speech")) {
+    const frame = new Uint8Array(417);
+    frame.set([0xff, 0xfb, 0x90]);
+    const audio = new Uint8Array(frame.length * 20);
+    for (let i = 0; i < 20; i++) audio.set(frame, i * frame.length);
+    return new Response(audio, { status: 200 });
+  }
+  throw new TypeError("fetch failed", { cause: Object.assign(new Error("connect ECONNRESET"), { code: "ECONNRESET" }) });
+};
@@ -0,0 +1,68 @@
+// Shared by the tests that run the server as a child process and talk to it
+// over MCP stdio, the way a client does.
+
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+const SERVER = fileURLToPath(new URL("../index.js", import.meta.url));
+
+/**
+ * Start the server with its own data directory, removed again after the test.
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.env] - On top of PATH and MEETING_DATA_DIR
+ * @param {object[]} [options.bots] - Bot records to restore on startup (bots.json)
+ */
+export async function startServer(t, { env = {}, bots = null } = {}) {
+  const dataDir = mkdtempSync(join(tmpdir(), "meeting-test-"));
+  if (bots) writeFileSync(join(dataDir, "bots.json"), JSON.stringify({ version: 1, bots }));
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    env: { PATH: process.env.PATH, MEETING_DATA_DIR: dataDir, ...env },
+    stderr: "ignore",
+  });
+  const client = new Client({ name: "test", version: "1" });
+  await client.connect(transport);
+
+  let closed = false;
+  transport.onclose = () => { closed = true; };
+  t.after(async () => {
+    await client.close();
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // Call a tool and return its reply text
+  async function call(name, args = {}) {
+    const result = await client.callTool({ name, arguments: args });
+    return result.content.map((c) => c.text).join("\n");
+  }
+
+  return { client, call, dataDir, isClosed: () => closed };
+}
+
+/**
+ * Poll `check` until it returns something truthy, and return that. Fails the
+ * test once `timeoutMs` has passed.
+ *
+ * @param {() => any} check - May be async
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.intervalMs]
+ * @param {string} [options.what] - For the failure message
+ */
+export async function waitFor(check, { timeoutMs = 20_000, intervalMs = 100, what = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (true) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() >= deadline) throw new Error(`Timed out after ${timeoutMs / 1000}s waiting for ${what}`);
+    await new Promise((r) => setTimeout(r, intervalMs));
+  }
+}
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseIcs, expandEvents } from "../lib/ics.js";
+
+const calendar = (...events) => ["BEGIN:VCALENDAR", ...events.flat(), "END:VCALENDAR"].join("\r\n");
+
+const WINDOW = { from: Date.UTC(2024, 4, 1), to: Date.UTC(2024, 5, 1) };
+
+test("a single event with folded lines, escapes and a link in its description", () => {
+  const [event] = parseIcs(calendar([
+    "BEGIN:VEVENT",
+    "UID:one@example.com",
+    "SUMMARY:Planning\\, Q3",
+    "DTSTART:20240507T140000Z",
+    "DESCRIPTION:Join: https://meet.google.com/abc-",
+    " defg-hij",
+    "BEGIN:VALARM",
+    "DESCRIPTION:Reminder",
+    "END:VALARM",
+    "END:VEVENT",
+  ]));
+
+  assert.equal(event.summary, "Planning, Q3");
+  assert.deepEqual(event.links, ["Join: https://meet.google.com/abc-defg-hij"]);
+  assert.deepEqual(expandEvents([event], WINDOW).occurrences, [
+    { uid: "one@example.com", summary: "Planning, Q3", start: Date.UTC(2024, 4, 7, 14), links: event.links },
+  ]);
+});
+
+test("times in a named zone follow that zone's daylight saving", () => {
+  const events = parseIcs(calendar(
+    ["BEGIN:VEVENT", "UID:winter", "DTSTART;TZID=America/New_York:20240105T090000", "END:VEVENT"],
+    ["BEGIN:VEVENT", "UID:summer", "DTSTART;TZID=America/New_York:20240705T090000", "END:VEVENT"],
+  ));
+  const { occurrences } = expandEvents(events, { from: Date.UTC(2024, 0, 1), to: Date.UTC(2024, 11, 31) });
+
+  assert.deepEqual(occurrences.map((o) => o.start), [Date.UTC(2024, 0, 5, 14), Date.UTC(2024, 6, 5, 13)]);
+});
+
+test("weekly series honour BYDAY, INTERVAL, COUNT, EXDATE and moved occurrences", () => {
+  const events = parseIcs(calendar(
+    [
+      "BEGIN:VEVENT",
+      "UID:standup",
+      "SUMMARY:Standup",
+      "DTSTART:20240506T090000Z",
+      "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5",
+      "EXDATE:20240508T090000Z",
+      "END:VEVENT",
+    ],
+    [
+      "BEGIN:VEVENT",
+      "UID:standup",
+      "SUMMARY:Standup (moved)",
+      "RECURRENCE-ID:20240520T090000Z",
+      "DTSTART:20240521T100000Z",
+      "END:VEVENT",
+    ],
+  ));
+  const { occurrences, unsupported } = expandEvents(events, WINDOW);
+
+  assert.deepEqual(unsupported, []);
+  assert.deepEqual(occurrences.map((o) => [new Date(o.start).toISOString(), o.summary]), [
+    ["2024-05-06T09:00:00.000Z", "Standup"],
+    ["2024-05-21T10:00:00.000Z", "Standup (moved)"],
+    ["2024-05-22T09:00:00.000Z", "Standup"],
+  ]);
+  // The fifth occurrence, 3 June, is past the window
+  assert.equal(expandEvents(events, { ...WINDOW, to: Date.UTC(2024, 5, 30) }).occurrences.length, 4);
+});
+
+test("all-day, cancelled and unsupported recurring events", () => {
+  const events = parseIcs(calendar(
+    ["BEGIN:VEVENT", "UID:holiday", "DTSTART;VALUE=DATE:20240510", "END:VEVENT"],
+    ["BEGIN:VEVENT", "UID:off", "DTSTART:20240510T100000Z", "STATUS:CANCELLED", "END:VEVENT"],
+    ["BEGIN:VEVENT", "UID:monthly", "SUMMARY:Review", "DTSTART:20240510T100000Z", "RRULE:FREQ=MONTHLY", "END:VEVENT"],
+  ));
+  const { occurrences, unsupported } = expandEvents(events, WINDOW);
+
+  assert.deepEqual(occurrences.map((o) => o.uid), ["monthly"]);
+  assert.deepEqual(unsupported, ["Review"]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMeetingUrl, platformLabel, findMeetingLink } from "../lib/meeting-url.js";
+
+test("Google Meet links and bare codes", () => {
+  assert.deepEqual(parseMeetingUrl("https://meet.google.com/ABC-defg-hij?authuser=1"), {
+    platform: "google_meet", meetingId: "abc-defg-hij", url: "https://meet.google.com/abc-defg-hij", label: "Google Meet",
+  });
+  assert.equal(parseMeetingUrl("abc-defg-hij").url, "https://meet.google.com/abc-defg-hij");
+  assert.match(parseMeetingUrl("https://meet.google.com/lookup").error, /isn't a Google Meet code/);
+});
+
+test("Zoom links, meeting IDs and passcodes", () => {
+  const link = parseMeetingUrl("https://us02web.zoom.us/j/12345678901?pwd=abc");
+  assert.equal(link.platform, "zoom");
+  assert.equal(link.meetingId, "12345678901");
+
+  assert.equal(parseMeetingUrl("123 4567 8901").url, "https://zoom.us/j/12345678901");
+  assert.equal(parseMeetingUrl("123-4567-8901 passcode: s3cret").url, "https://zoom.us/j/12345678901?pwd=s3cret");
+  assert.equal(parseMeetingUrl("https://zoom.us/j/12345678901", { passcode: "xyz" }).url, "https://zoom.us/j/12345678901?pwd=xyz");
+  assert.match(parseMeetingUrl("https://zoom.us/profile").error, /no meeting ID/);
+});
+
+test("Teams and Webex links", () => {
+  const teams = parseMeetingUrl("https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc%40thread.v2/0?context=%7b%7d");
+  assert.equal(teams.platform, "microsoft_teams");
+  assert.equal(teams.meetingId, "19:meeting_abc@thread.v2");
+  assert.equal(parseMeetingUrl("https://teams.live.com/meet/9876543210").meetingId, "9876543210");
+  assert.match(parseMeetingUrl("https://teams.microsoft.com/_#/calendarv2").error, /isn't a meeting join link/);
+
+  assert.equal(parseMeetingUrl("https://acme.webex.com/meet/jdoe").meetingId, "jdoe");
+  assert.equal(parseMeetingUrl("https://acme.webex.com/acme/j.php?MTID=m123").meetingId, "m123");
+});
+
+test("unsupported and empty input are errors", () => {
+  assert.match(parseMeetingUrl("").error, /No meeting link given/);
+  assert.match(parseMeetingUrl("https://example.com/call").error, /example\.com isn't a supported meeting platform/);
+  assert.match(parseMeetingUrl("tomorrow at noon").error, /Couldn't tell which meeting/);
+});
+
+test("platform labels and links found in free text", () => {
+  assert.equal(platformLabel("abc-defg-hij"), "Google Meet");
+  assert.equal(platformLabel({ platform: "zoom" }), "Zoom");
+  assert.equal(platformLabel("not a link"), null);
+
+  const found = findMeetingLink("Agenda: https://example.com/doc.\nJoin: https://zoom.us/j/98765432101?pwd=q1, thanks");
+  assert.equal(found.url, "https://zoom.us/j/98765432101?pwd=q1");
+  assert.equal(findMeetingLink("no links here"), null);
+});
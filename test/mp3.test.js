@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mp3Duration } from "../lib/mp3.js";
+
+// `count` frames with the given 4-byte header, each `length` bytes long
+function frames(header, length, count) {
+  const buf = Buffer.alloc(length * count);
+  for (let i = 0; i < count; i++) buf.set(header, i * length);
+  return buf;
+}
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz: 417-byte frames of 1152 samples
+const MPEG1 = frames([0xff, 0xfb, 0x90, 0x00], 417, 100);
+
+test("sums frame durations", () => {
+  assert.ok(Math.abs(mp3Duration(MPEG1) - (100 * 1152) / 44100) < 1e-9);
+});
+
+test("MPEG-2 Layer III frames hold 576 samples", () => {
+  // 64 kbps, 22.05 kHz: floor(72 * 64000 / 22050) = 208 bytes
+  const buf = frames([0xff, 0xf3, 0x80, 0x00], 208, 50);
+  assert.ok(Math.abs(mp3Duration(buf) - (50 * 576) / 22050) < 1e-9);
+});
+
+test("skips a leading ID3v2 tag and junk between frames", () => {
+  const tag = Buffer.alloc(10 + 300);
+  tag.write("ID3", 0, "latin1");
+  tag.set([4, 0, 0, 0, 0, 0x02, 0x2c], 3); // v2.4, no flags, size 300 (syncsafe)
+  tag.fill(0xff, 10); // would look like frame sync if it weren't skipped
+  const junk = Buffer.from("not audio");
+
+  const buf = Buffer.concat([tag, MPEG1.subarray(0, 417 * 10), junk, MPEG1.subarray(0, 417 * 10)]);
+  assert.ok(Math.abs(mp3Duration(buf) - (20 * 1152) / 44100) < 1e-9);
+});
+
+test("returns null when there are no frames", () => {
+  assert.equal(mp3Duration(Buffer.from("RIFF....WAVEfmt ")), null);
+  assert.equal(mp3Duration(Buffer.alloc(0)), null);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_RETRY } from "../lib/http-client.js";
+import { startServer, waitFor } from "./helpers.js";
+
+const OFFLINE_FETCH = fileURLToPath(new URL("./fixtures/offline-fetch.mjs", import.meta.url));
+
+// A direct-mode server with one restored bot, "b1", and no network
+async function startOfflineServer(t, env = {}) {
+  const server = await startServer(t, {
+    bots: [{ id: "b1", name: "Agent", meetingUrl: "https://meet.google.com/abc-defg-hij", mode: "direct" }],
+    env: {
+      RECALL_TOKEN: "test",
+      OPENAI_KEY: "test",
+      KEEP_BOTS_ON_EXIT: "1",
+      NODE_OPTIONS: `--import ${OFFLINE_FETCH}`,
+      ...env,
+    },
+  });
+
+  // Resolves once a transcript read has failed for good: every retry of it was attempted
+  const transcriptReadFailed = () => waitFor(() => {
+    const log = join(server.dataDir, "fetch.log");
+    const reads = existsSync(log) ? readFileSync(log, "utf-8").split("\n").filter((l) => l.startsWith("GET") && l.includes("/transcript/")) : [];
+    return reads.length >= DEFAULT_RETRY.maxAttempts;
+  }, { what: "a failed transcript read" });
+
+  return { ...server, transcriptReadFailed };
+}
+
+test("speak with barge_in survives the transcript fetch failing", async (t) => {
+  const { call, isClosed, transcriptReadFailed } = await startOfflineServer(t);
+
+  assert.match(await call("speak", { bot_id: "b1", text: "Hello everyone.", barge_in: true }), /Failed to speak/);
+
+  await transcriptReadFailed();
+  assert.match(await call("get_speech_queue", { bot_id: "b1" }), /empty/);
+  assert.equal(isClosed(), false);
+});
+
+test("transcript resource polling survives the transcript fetch failing", async (t) => {
+  const { client, call, isClosed, transcriptReadFailed } = await startOfflineServer(t);
+
+  await client.subscribeResource({ uri: "meeting://b1/transcript" });
+  await transcriptReadFailed();
+  assert.ok((await call("list_voices")).length > 0);
+  assert.equal(isClosed(), false);
+});
+
+test("leave_meeting still removes the bot when its meeting can't be archived", async (t) => {
+  const { call } = await startOfflineServer(t);
+
+  assert.match(await call("leave_meeting", { bot_id: "b1" }), /left the meeting/);
+  assert.match(await call("get_transcript", { bot_id: "b1" }), /has left its meeting/);
+});
+
+test("speech tools turn away unknown bots", async (t) => {
+  const { call } = await startOfflineServer(t);
+
+  for (const [name, args] of [
+    ["speak", { text: "Hello." }],
+    ["get_speech_queue", {}],
+    ["clear_speech_queue", {}],
+    ["stop_speaking", {}],
+  ]) {
+    assert.match(await call(name, { bot_id: "nope", ...args }), /Unknown bot ID: nope/, name);
+  }
+});
+
+test("speaking as an unknown bot isn't metered", async (t) => {
+  const { call } = await startOfflineServer(t, { USAGE_MAX_TTS_CHARS_PER_DAY: "1000" });
+
+  await call("speak", { bot_id: "nope", text: "Hello everyone." });
+  assert.match(await call("usage_report"), /0 of 1,000 TTS characters used today/);
+});
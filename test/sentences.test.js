@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitIntoChunks } from "../lib/sentences.js";
+
+test("splits at sentence ends", () => {
+  const text = "The deploy finished at noon without errors. All the traffic moved over by one o'clock! Does anyone see problems?";
+  assert.deepEqual(splitIntoChunks(text, { minChars: 0 }), [
+    "The deploy finished at noon without errors.",
+    "All the traffic moved over by one o'clock!",
+    "Does anyone see problems?",
+  ]);
+});
+
+test("merges short sentences into the one before", () => {
+  assert.deepEqual(splitIntoChunks("Yes. Ok. That works for me, let's ship it on Friday."), [
+    "Yes. Ok. That works for me, let's ship it on Friday.",
+  ]);
+  assert.deepEqual(splitIntoChunks("Sure. Thanks.", { minChars: 5 }), ["Sure.", "Thanks."]);
+});
+
+test("breaks long sentences at word boundaries", () => {
+  const chunks = splitIntoChunks("one two three four five six seven eight nine ten", { minChars: 0, maxChars: 15 });
+  assert.deepEqual(chunks, ["one two three", "four five six", "seven eight", "nine ten"]);
+  assert.ok(chunks.every((c) => c.length <= 15));
+});
+
+test("empty and whitespace-only text gives no chunks", () => {
+  assert.deepEqual(splitIntoChunks(""), []);
+  assert.deepEqual(splitIntoChunks("   "), []);
+});
@@ -0,0 +1,175 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { ResourceUpdatedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { loadScript } from "../lib/simulator.js";
+import { startServer, waitFor } from "./helpers.js";
+
+// Meeting seconds per real second: a scripted event "at": 10 happens after 0.5s
+const SPEED = 20;
+
+// Run the server in simulator mode on `events`, and join a bot named Agent
+async function joinSimulatedMeeting(t, events, env = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "meeting-sim-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const script = join(dir, "script.json");
+  const logPath = join(dir, "log.jsonl");
+  writeFileSync(script, JSON.stringify({ events }));
+
+  const server = await startServer(t, {
+    env: { MEETING_SIMULATOR: script, MEETING_SIMULATOR_SPEED: String(SPEED), MEETING_SIMULATOR_LOG: logPath, ...env },
+  });
+  const joined = await server.call("join_meeting", { meeting_url: "abc-defg-hij", bot_name: "Agent" });
+  const botId = joined.match(/ID: (sim-[\w-]+)/)?.[1];
+  assert.ok(botId, joined);
+
+  const log = () => existsSync(logPath)
+    ? readFileSync(logPath, "utf-8").trim().split("\n").map((line) => JSON.parse(line))
+    : [];
+  // Keep calling wait_until_admitted until the bot is out of the call
+  const waitUntilOut = () => waitFor(async () => {
+    const text = await server.call("wait_until_admitted", { bot_id: botId, timeout_seconds: 1 });
+    return /out now|never got in/.test(text) && text;
+  }, { what: "the bot to be out of the call" });
+
+  return { ...server, botId, log, waitUntilOut };
+}
+
+test("a bot waits in the waiting room until it's admitted", async (t) => {
+  const { call, botId } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "waiting_room" },
+    { at: 40, type: "status", status: "admitted" },
+  ]);
+
+  assert.match(await call("bot_status", { bot_id: botId }), /Status: in_waiting_room/);
+  assert.match(
+    await call("wait_until_admitted", { bot_id: botId, timeout_seconds: 20 }),
+    /is in the call and recording \(admitted after \d+s in the waiting room\)/
+  );
+});
+
+test("a bot turned away from the waiting room never gets in", async (t) => {
+  const { botId, waitUntilOut, call } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "waiting_room" },
+    { at: 10, type: "status", status: "denied" },
+  ]);
+
+  assert.match(await waitUntilOut(), /never got in: it was turned away from the waiting room/);
+  assert.match(await call("speak", { bot_id: botId, text: "Hello?" }), /has left its meeting — it was turned away/);
+});
+
+test("a kicked bot is reported and cleaned up", async (t) => {
+  const { botId, waitUntilOut, call } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "admitted" },
+    { at: 10, type: "status", status: "kicked" },
+  ]);
+
+  assert.match(await waitUntilOut(), /was in the call but is out now: it was removed from the call/);
+  assert.match(await call("get_transcript", { bot_id: botId }), /has left its meeting — it was removed from the call/);
+  assert.match(await call("clear_image", { bot_id: botId }), /has left its meeting — it was removed from the call/);
+});
+
+test("a meeting the host ends takes the bot with it", async (t) => {
+  const { waitUntilOut } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "admitted" },
+    { at: 10, type: "status", status: "ended" },
+  ]);
+
+  assert.match(await waitUntilOut(), /out now: the host ended the meeting/);
+});
+
+test("speak and send_chat are logged, and the bot hears itself", async (t) => {
+  const { call, botId, log } = await joinSimulatedMeeting(t, [{ at: 0, type: "status", status: "admitted" }]);
+  await call("wait_until_admitted", { bot_id: botId });
+
+  assert.match(await call("speak", { bot_id: botId, text: "Hello everyone." }), /Speaking/);
+  assert.match(await call("send_chat", { bot_id: botId, message: "Agenda is in the doc" }), /Sent in meeting chat/);
+
+  const events = log().map(({ event, text }) => ({ event, text }));
+  assert.deepEqual(events.filter((e) => e.event !== "join"), [
+    { event: "speak", text: "Hello everyone." },
+    { event: "chat", text: "Agenda is in the doc" },
+  ]);
+  const transcript = await waitFor(async () => {
+    const text = await call("catch_up", { bot_id: botId });
+    return text.includes("Hello everyone.") && text;
+  }, { what: "the bot's speech in the transcript" });
+  assert.match(transcript, /Agent/);
+});
+
+test("TTS characters count against the budget only once they reach the meeting", async (t) => {
+  const { call, botId } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "waiting_room" },
+    { at: 40, type: "status", status: "admitted" },
+  ], { USAGE_MAX_TTS_CHARS_PER_DAY: "1000" });
+
+  // Still in the waiting room, so the push fails
+  assert.match(await call("speak", { bot_id: botId, text: "Hello everyone." }), /not in the call/);
+  assert.match(await call("usage_report", {}), /0 of 1,000 TTS characters used today/);
+
+  await call("wait_until_admitted", { bot_id: botId, timeout_seconds: 20 });
+  assert.match(await call("speak", { bot_id: botId, text: "Hello everyone." }), /Speaking/);
+  assert.match(await call("usage_report", {}), /15 of 1,000 TTS characters used today/);
+});
+
+test("wait_for_speech wakes on a question to the bot", async (t) => {
+  const { call, botId } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "admitted" },
+    { at: 10, type: "speech", speaker: "Ann", text: "Morning all, let's get going" },
+    { at: 20, type: "speech", speaker: "Ann", text: "Agent can you check the logs? I think the deploy broke" },
+  ]);
+
+  assert.match(
+    await call("wait_for_speech", { bot_id: botId, timeout_seconds: 20, triggers: { question: true } }),
+    /▶ Ann.*\[question\]/
+  );
+});
+
+test("the participants resource lists the same roster as list_participants, silent people included", async (t) => {
+  const { client, call, botId } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "admitted" },
+    { at: 0, type: "join", name: "Ann", host: true },
+    { at: 0, type: "join", name: "Bob" },
+    { at: 1, type: "speech", speaker: "Ann", text: "Morning" },
+  ]);
+  await call("wait_until_admitted", { bot_id: botId });
+
+  const { contents: [resource] } = await client.readResource({ uri: `meeting://${botId}/participants` });
+  const roster = JSON.parse(resource.text);
+  assert.equal(roster.host, "Ann");
+  assert.deepEqual(roster.present.map((p) => p.name), ["Ann", "Bob"]);
+  assert.deepEqual(roster.left, []);
+  assert.match(await call("list_participants", { bot_id: botId }), /2 in the meeting — host: Ann\n- Ann \(host\)[^\n]*\n- Bob/);
+});
+
+test("participants subscribers hear about someone joining who hasn't spoken", async (t) => {
+  const { client, call, botId } = await joinSimulatedMeeting(t, [
+    { at: 0, type: "status", status: "admitted" },
+    { at: 0, type: "join", name: "Ann" },
+    { at: 100, type: "join", name: "Bob" },
+  ]);
+  await call("wait_until_admitted", { bot_id: botId });
+  const uri = `meeting://${botId}/participants`;
+  const updates = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, (n) => updates.push(n.params.uri));
+
+  await client.subscribeResource({ uri });
+  await waitFor(() => updates.includes(uri), { what: "a participants update" });
+  const { contents: [resource] } = await client.readResource({ uri });
+  assert.deepEqual(JSON.parse(resource.text).present.map((p) => p.name), ["Ann", "Bob"]);
+});
+
+test("scripts with unusable events are rejected with the event's number", () => {
+  const dir = mkdtempSync(join(tmpdir(), "meeting-sim-"));
+  try {
+    const path = join(dir, "bad.json");
+    writeFileSync(path, JSON.stringify({ events: [{ at: 0, type: "status", status: "admitted" }, { at: 3, type: "dance" }] }));
+    assert.throws(() => loadScript(path), /event 2 has unknown type "dance"/);
+    writeFileSync(path, JSON.stringify({ events: [{ type: "speech", text: "hi" }] }));
+    assert.throws(() => loadScript(path), /event 1 has no valid "at"/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { startTranscriptReceiver, verifySignature, normalizeEvent } from "../lib/transcript-receiver.js";
+
+const SECRET = `whsec_${Buffer.from("test-secret").toString("base64")}`;
+
+function sign(body, { id = "msg_1", timestamp = Math.floor(Date.now() / 1000), secret = SECRET } = {}) {
+  const key = Buffer.from(secret.replace(/^whsec_/, ""), "base64");
+  const signature = createHmac("sha256", key).update(`${id}.${timestamp}.${body}`).digest("base64");
+  return { "webhook-id": id, "webhook-timestamp": String(timestamp), "webhook-signature": `v1,${signature}` };
+}
+
+function transcriptionEvent(botId, text) {
+  return {
+    event: "bot.transcription",
+    data: {
+      bot_id: botId,
+      transcript: { speaker: "Ana", speaker_id: 1, is_final: true, words: [{ text, start_timestamp: 1, end_timestamp: 2 }] },
+    },
+  };
+}
+
+test("events for bots the receiver doesn't accept are dropped", async (t) => {
+  const seen = [];
+  const receiver = await startTranscriptReceiver({
+    port: 0,
+    acceptBot: (botId) => botId === "known",
+    onEntry: (botId) => seen.push(botId),
+  });
+  t.after(() => receiver.close());
+
+  for (const botId of ["known", "stranger"]) {
+    const res = await fetch(`http://127.0.0.1:${receiver.port}/transcription`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(transcriptionEvent(botId, "hello")),
+    });
+    assert.equal(res.status, 204);
+  }
+
+  assert.equal(receiver.getEntries("known").length, 1);
+  assert.deepEqual(receiver.getEntries("stranger"), []);
+  assert.deepEqual(seen, ["known"]);
+});
+
+test("signatures are checked against the secret, the message ID and a fresh timestamp", () => {
+  const body = JSON.stringify(transcriptionEvent("known", "hello"));
+  const headers = sign(body);
+
+  assert.equal(verifySignature(SECRET, headers, body), true);
+  assert.equal(verifySignature(SECRET, headers, body.replace("hello", "hullo")), false);
+  assert.equal(verifySignature(SECRET, { ...headers, "webhook-id": "msg_2" }, body), false);
+  assert.equal(verifySignature(SECRET, sign(body, { timestamp: Math.floor(Date.now() / 1000) - 3600 }), body), false);
+  assert.equal(verifySignature(SECRET, { "webhook-id": "msg_1" }, body), false);
+});
+
+test("any of several signatures passes, as during secret rotation", () => {
+  const body = "{}";
+  const old = sign(body, { secret: `whsec_${Buffer.from("old-secret").toString("base64")}` });
+  const current = sign(body);
+  const headers = { ...current, "webhook-signature": `${old["webhook-signature"]} ${current["webhook-signature"]}` };
+
+  assert.equal(verifySignature(SECRET, headers, body), true);
+  // Svix-prefixed headers work too
+  assert.equal(verifySignature(SECRET, { "svix-id": current["webhook-id"], "svix-timestamp": current["webhook-timestamp"], "svix-signature": current["webhook-signature"] }, body), true);
+});
+
+test("unsigned requests are refused when a secret is set", async (t) => {
+  const receiver = await startTranscriptReceiver({ port: 0, secret: SECRET });
+  t.after(() => receiver.close());
+  const url = `http://127.0.0.1:${receiver.port}/transcription`;
+  const body = JSON.stringify(transcriptionEvent("known", "hello"));
+
+  assert.equal((await fetch(url, { method: "POST", body })).status, 401);
+  assert.equal((await fetch(url, { method: "POST", body, headers: sign(body) })).status, 204);
+});
+
+test("both webhook payload shapes normalize to transcript entries", () => {
+  assert.deepEqual(normalizeEvent(transcriptionEvent("b1", "hello")), {
+    botId: "b1",
+    entry: { speaker: "Ana", speaker_id: 1, words: [{ text: "hello", start_timestamp: 1, end_timestamp: 2 }] },
+  });
+  assert.deepEqual(normalizeEvent({
+    event: "transcript.data",
+    data: {
+      bot: { id: "b2" },
+      data: { participant: { id: 4, name: "Bo" }, words: [{ text: "hey", start_timestamp: { relative: 3.5 }, end_timestamp: { relative: 3.9 } }] },
+    },
+  }), { botId: "b2", entry: { speaker: "Bo", speaker_id: 4, words: [{ text: "hey", start_timestamp: 3.5, end_timestamp: 3.9 }] } });
+
+  const partial = transcriptionEvent("b1", "hel");
+  partial.data.transcript.is_final = false;
+  assert.equal(normalizeEvent(partial), null);
+  assert.equal(normalizeEvent({ event: "bot.status_change", data: {} }), null);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { entryKey, seedCursor, advanceCursor, matchesSpokenText } from "../lib/transcript.js";
+
+function entry(speaker, speakerId, ...words) {
+  return { speaker, speaker_id: speakerId, words: words.map(([text, start]) => ({ text, start_timestamp: start, end_timestamp: start + 0.4 })) };
+}
+
+test("entries are keyed by speaker and first word", () => {
+  assert.equal(entryKey(entry("Ann", 7, ["hi", 3])), "7@3");
+  assert.equal(entryKey({ speaker: "Ann", words: [{ text: "hi", start_timestamp: 3 }] }), "Ann@3");
+});
+
+test("seedCursor marks entries that ended by the given time as read", () => {
+  const transcript = [entry("Ann", 1, ["one", 1], ["two", 2]), entry("Bob", 2, ["three", 5])];
+
+  assert.deepEqual(seedCursor(transcript, 3), { "1@1": 2 });
+  assert.deepEqual(seedCursor(transcript, Infinity), { "1@1": 2, "2@5": 1 });
+  assert.deepEqual(seedCursor(transcript, null), {});
+});
+
+test("advanceCursor delivers each word once, including words added to an entry later", () => {
+  const cursor = {};
+  const first = [entry("Ann", 1, ["can", 1], ["you", 1.5])];
+  assert.deepEqual(advanceCursor(first, cursor).map((d) => [d.words.map((w) => w.text), d.continued]), [[["can", "you"], false]]);
+  assert.deepEqual(advanceCursor(first, cursor), []);
+
+  const grown = [entry("Ann", 1, ["can", 1], ["you", 1.5], ["check?", 2]), entry("Bob", 2, ["sure", 4])];
+  assert.deepEqual(advanceCursor(grown, cursor).map((d) => [d.words.map((w) => w.text), d.continued]), [
+    [["check?"], true],
+    [["sure"], false],
+  ]);
+  assert.deepEqual(cursor, { "1@1": 3, "2@4": 1 });
+});
+
+test("advanceCursor skips empty entries and picks up where a seeded cursor left off", () => {
+  const transcript = [entry("Ann", 1, ["old", 1]), { speaker: "Bob", speaker_id: 2, words: [] }, entry("Ann", 1, ["new", 9])];
+  const cursor = seedCursor(transcript, 2);
+
+  assert.deepEqual(advanceCursor(transcript, cursor).map((d) => d.words[0].text), ["new"]);
+});
+
+test("a line is the bot's echo when most of its words are something the bot said", () => {
+  const echo = entry("Meeting Room", 3, ["the", 1], ["budget", 1.3], ["is", 1.6], ["ten", 1.9], ["thousand", 2.2]);
+  const other = entry("Ann", 1, ["what", 1], ["is", 1.3], ["the", 1.6], ["timeline", 1.9]);
+
+  assert.equal(matchesSpokenText(echo, ["The budget is ten thousand."]), true);
+  assert.equal(matchesSpokenText(other, ["The budget is ten thousand."]), false);
+  assert.equal(matchesSpokenText(entry("Ann", 1, ["budget", 1], ["ten", 1.3]), ["The budget is ten thousand."]), false);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileTriggers, isQuestion } from "../lib/triggers.js";
+
+test("a question split across two polls still matches", () => {
+  const matcher = compileTriggers({ question: true }, "Agent");
+
+  assert.deepEqual(matcher.match("Thanks. What do you think", { afterBot: false }), []);
+  assert.deepEqual(
+    matcher.match("Thanks. What do you think about the logs, Agent?", { afterBot: false, before: "Thanks. What do you think" }),
+    ["question"]
+  );
+});
+
+test("triggers already matched by the earlier part of a line aren't reported again", () => {
+  const matcher = compileTriggers({ mention: true, keywords: ["budget"] }, "Agent");
+
+  assert.deepEqual(matcher.match("Agent the budget", { afterBot: false }), ["mention", 'keyword "budget"']);
+  assert.deepEqual(matcher.match("Agent the budget is fine", { afterBot: false, before: "Agent the budget" }), []);
+});
+
+test("a keyword phrase split across two polls still matches", () => {
+  const matcher = compileTriggers({ keywords: ["action item"] }, "Agent");
+
+  assert.deepEqual(matcher.match("that's an action item for", { afterBot: false, before: "that's an action" }), ['keyword "action item"']);
+});
+
+test("invalid patterns and empty triggers are errors", () => {
+  assert.match(compileTriggers({ patterns: ["("] }, "Agent").error, /Invalid pattern/);
+  assert.match(compileTriggers({}, "Agent").error, /No triggers enabled/);
+});
+
+test("a question word counts only after addressing the bot", () => {
+  assert.equal(isQuestion("Agent, can you check the logs", "Agent"), true);
+  assert.equal(isQuestion("Hey Agent what's the status", "Agent"), true);
+  assert.equal(isQuestion("Will do, thanks", "Agent"), false);
+  assert.equal(isQuestion("Is that the plan. Anyway", "Agent"), false);
+  assert.equal(isQuestion("Did it break? I think so", "Agent"), true);
+});
+
+test("a reply to the bot that merely starts with a question word isn't a question", () => {
+  const matcher = compileTriggers({ question: true }, "Agent");
+
+  assert.deepEqual(matcher.match("Will do, thanks", { afterBot: true }), []);
+  assert.deepEqual(matcher.match("Agent, can you check the logs", { afterBot: false }), ["question"]);
+});